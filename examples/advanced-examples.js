@@ -19,11 +19,10 @@ class EcommerceValidator extends FormValidator {
             return /^[A-Z]{3}\d{3,6}$/.test(value.toUpperCase());
         }, 'SKU must be 3 letters followed by 3-6 digits (e.g., ABC123)');
 
-        // Price validation
-        this.addValidationRule('price', (value, params) => {
-            if (!value) return true;
-            const price = parseFloat(value);
-            return price > 0 && price <= 999999.99;
+        // Price validation: the money rule parses '1,299.99' or '1.299,99' and
+        // checks the currency's decimals; params can change the currency or bounds
+        this.addValidationRule('price', (value, params, formData) => {
+            return this.getRule('money')(value, { currency: 'USD', min: 0.01, max: 999999.99, ...params }, formData);
         }, 'Price must be between $0.01 and $999,999.99');
 
         // Discount percentage validation
@@ -69,47 +68,14 @@ class UserRegistrationValidator extends FormValidator {
             return !takenUsernames.includes(value.toLowerCase());
         }, 'This username is already taken');
 
-        // Password strength with custom requirements
-        this.addValidationRule('customPassword', (value, params) => {
-            if (!value) return true;
-            
-            const requirements = {
-                minLength: params.minLength || 8,
-                requireUppercase: params.requireUppercase !== false,
-                requireLowercase: params.requireLowercase !== false,
-                requireNumbers: params.requireNumbers !== false,
-                requireSpecialChars: params.requireSpecialChars !== false,
-                forbiddenWords: params.forbiddenWords || []
-            };
-
-            // Check length
-            if (value.length < requirements.minLength) return false;
-
-            // Check character requirements
-            if (requirements.requireUppercase && !/[A-Z]/.test(value)) return false;
-            if (requirements.requireLowercase && !/[a-z]/.test(value)) return false;
-            if (requirements.requireNumbers && !/\d/.test(value)) return false;
-            if (requirements.requireSpecialChars && !/[!@#$%^&*(),.?":{}|<>]/.test(value)) return false;
-
-            // Check forbidden words
-            const lowerValue = value.toLowerCase();
-            for (const word of requirements.forbiddenWords) {
-                if (lowerValue.includes(word.toLowerCase())) return false;
-            }
-
-            return true;
-        }, 'Password does not meet security requirements');
+        // Password requirements (minLength, requireUppercase, forbiddenWords...)
+        // are params of the shared password policy; the old rule name still works
+        this.addRuleAlias('customPassword', 'password');
 
         // Age verification with ID validation
         this.addValidationRule('ageVerification', (value, params, formData) => {
-            if (!value) return true;
-            
-            const birthDate = new Date(value);
-            const today = new Date();
-            const age = Math.floor((today - birthDate) / (365.25 * 24 * 60 * 60 * 1000));
-            
-            const minAge = params.minAge || 18;
-            return age >= minAge;
+            // The age rule computes the exact age from a birth date
+            return this.getRule('age')(value, { min: params.minAge || 18 }, formData);
         }, 'You must be at least {minAge} years old to register');
     }
 }
@@ -123,7 +89,7 @@ class DynamicFormBuilder {
         this.fieldCounter = 0;
     }
 
-    addTextField(config) {
+    addTextField(config, parent = this.container) {
         const fieldId = `field_${++this.fieldCounter}`;
         const field = {
             id: fieldId,
@@ -134,10 +100,11 @@ class DynamicFormBuilder {
         const html = `
             <div class="dynamic-field" data-field-id="${fieldId}">
                 <label for="${fieldId}">${field.label} ${field.required ? '*' : ''}</label>
-                <input type="text" 
+                <input type="${field.type}" 
                        id="${fieldId}" 
                        name="${field.name || fieldId}"
                        placeholder="${field.placeholder || ''}"
+                       ${field.default !== undefined ? `value="${field.default}"` : ''}
                        ${field.required ? 'required' : ''}
                        ${field.minlength ? `minlength="${field.minlength}"` : ''}
                        ${field.maxlength ? `maxlength="${field.maxlength}"` : ''}>
@@ -147,7 +114,7 @@ class DynamicFormBuilder {
             </div>
         `;
 
-        this.container.insertAdjacentHTML('beforeend', html);
+        parent.insertAdjacentHTML('beforeend', html);
         this.fields.push(field);
 
         // Configure validation if provided
@@ -158,7 +125,7 @@ class DynamicFormBuilder {
         return fieldId;
     }
 
-    addSelectField(config) {
+    addSelectField(config, parent = this.container) {
         const fieldId = `field_${++this.fieldCounter}`;
         const field = {
             id: fieldId,
@@ -167,7 +134,7 @@ class DynamicFormBuilder {
         };
 
         const optionsHtml = field.options.map(option => 
-            `<option value="${option.value}">${option.label}</option>`
+            `<option value="${option.value}" ${option.value === field.default ? 'selected' : ''}>${option.label}</option>`
         ).join('');
 
         const html = `
@@ -185,13 +152,13 @@ class DynamicFormBuilder {
             </div>
         `;
 
-        this.container.insertAdjacentHTML('beforeend', html);
+        parent.insertAdjacentHTML('beforeend', html);
         this.fields.push(field);
 
         return fieldId;
     }
 
-    addDateField(config) {
+    addDateField(config, parent = this.container) {
         const fieldId = `field_${++this.fieldCounter}`;
         const field = {
             id: fieldId,
@@ -202,10 +169,11 @@ class DynamicFormBuilder {
         const html = `
             <div class="dynamic-field" data-field-id="${fieldId}">
                 <label for="${fieldId}">${field.label} ${field.required ? '*' : ''}</label>
-                <input type="date" 
+                <input type="${field.type}" 
                        id="${fieldId}" 
                        name="${field.name || fieldId}"
                        ${field.required ? 'required' : ''}
+                       ${field.default ? `value="${field.default}"` : ''}
                        ${field.min ? `min="${field.min}"` : ''}
                        ${field.max ? `max="${field.max}"` : ''}>
                 <button type="button" class="remove-field-btn" onclick="this.closest('.dynamic-field').remove()">
@@ -214,7 +182,7 @@ class DynamicFormBuilder {
             </div>
         `;
 
-        this.container.insertAdjacentHTML('beforeend', html);
+        parent.insertAdjacentHTML('beforeend', html);
         this.fields.push(field);
 
         return fieldId;
@@ -228,34 +196,89 @@ class DynamicFormBuilder {
     }
 
     loadFromConfig(config) {
+        // Versioned form schemas configure the validator and are checked on load
+        if (config.version !== undefined) {
+            this.loadFromSchema(config);
+            return;
+        }
+
         // Clear existing fields
         this.container.innerHTML = '';
         this.fields = [];
 
         // Add fields from config
-        config.fields.forEach(fieldConfig => {
-            switch (fieldConfig.type) {
-                case 'text':
-                    this.addTextField(fieldConfig);
-                    break;
-                case 'select':
-                    this.addSelectField(fieldConfig);
-                    break;
-                case 'date':
-                    this.addDateField(fieldConfig);
-                    break;
-            }
+        config.fields.forEach(fieldConfig => this.renderField(fieldConfig));
+    }
+
+    loadFromSchema(schema) {
+        const parsed = this.validator.loadSchema(schema);
+
+        this.container.innerHTML = '';
+        this.fields = [];
+
+        // One fieldset per group, in declaration order
+        const groupElements = new Map();
+        (parsed.groups || []).forEach(group => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'form-section';
+            fieldset.dataset.group = group.name;
+            fieldset.innerHTML = `<legend>${group.label || group.name}</legend>`;
+            this.container.appendChild(fieldset);
+            groupElements.set(group.name, fieldset);
         });
+
+        parsed.fields.forEach(schemaField => {
+            const required = (schemaField.rules || []).some(rule =>
+                this.validator.resolveRuleName(typeof rule === 'string' ? rule : rule.name) === 'required'
+            );
+
+            // Validation is already configured by loadSchema
+            const fieldConfig = {
+                name: schemaField.name,
+                type: schemaField.type,
+                label: schemaField.label || schemaField.name,
+                placeholder: schemaField.placeholder,
+                options: schemaField.options,
+                default: schemaField.default,
+                required
+            };
+
+            this.renderField(fieldConfig, groupElements.get(schemaField.group) || this.container);
+        });
+    }
+
+    renderField(fieldConfig, parent = this.container) {
+        switch (fieldConfig.type) {
+            case 'select':
+                return this.addSelectField(fieldConfig, parent);
+            case 'date':
+            case 'time':
+            case 'datetime-local':
+                return this.addDateField(fieldConfig, parent);
+            case 'text':
+            case 'email':
+            case 'tel':
+            case 'number':
+            case 'url':
+            case 'password':
+                return this.addTextField(fieldConfig, parent);
+        }
     }
 }
 
 // Example 4: Form Wizard with Step Validation
 class FormWizard {
-    constructor(formSelector, steps) {
+    /**
+     * @param {string} formSelector - CSS selector of the form
+     * @param {array} steps - Steps with title, selector and validation configs
+     * @param {object} options - { renderer } any ErrorRenderer spec, 'inline' by default
+     */
+    constructor(formSelector, steps, options = {}) {
         this.form = document.querySelector(formSelector);
         this.steps = steps;
         this.currentStep = 0;
         this.validator = new FormValidator();
+        this.renderer = ErrorRenderer.create(options.renderer || 'inline');
         this.stepResults = {};
 
         this.init();
@@ -405,27 +428,25 @@ class FormWizard {
 
     displayFieldError(field, errors) {
         this.clearFieldError(field);
-        
-        const errorContainer = document.createElement('div');
-        errorContainer.className = 'error-message';
-        
-        errors.forEach(error => {
-            const errorElement = document.createElement('div');
-            errorElement.className = 'error-item';
-            errorElement.textContent = error.message;
-            errorContainer.appendChild(errorElement);
-        });
 
-        field.parentNode.insertBefore(errorContainer, field.nextSibling);
         field.classList.add('invalid');
+        field.setAttribute('aria-invalid', 'true');
+        this.renderer.render(field, { isValid: false, errors, warnings: [] }, this.getRenderContext(field));
     }
 
     clearFieldError(field) {
         field.classList.remove('invalid');
-        const errorElement = field.parentNode.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.remove();
-        }
+        field.removeAttribute('aria-invalid');
+        this.renderer.clear(field, this.getRenderContext(field));
+    }
+
+    getRenderContext(field) {
+        const fieldName = field.name || field.id;
+        return {
+            fieldName,
+            inputs: [field],
+            messageId: type => `${fieldName}-${type}`
+        };
     }
 
     getAllData() {
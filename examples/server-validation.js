@@ -0,0 +1,67 @@
+/**
+ * Example: Server-side re-validation in Node.js
+ * Re-validates submitted payloads with the same schema the browser uses
+ *
+ * Run with: node examples/server-validation.js
+ * Then:     curl -X POST localhost:3000/contact -d '{"fullName":"Ana","email":"ana@example.com","topic":"sales"}'
+ */
+
+const http = require('http');
+const FormValidator = require('../js/validator.js');
+const contactSchema = require('./contact-form.schema.json');
+
+/**
+ * A validator per request: pending async validations are tracked per field
+ * on the instance, so a shared one would let overlapping requests cancel each other
+ * @returns {FormValidator} Validator configured from the schema
+ */
+function createValidator() {
+    const validator = new FormValidator();
+    validator.loadSchema(contactSchema);
+    return validator;
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method !== 'POST' || request.url !== '/contact') {
+        response.writeHead(404).end();
+        return;
+    }
+
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', async () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            response.writeHead(400, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Invalid JSON body' }));
+            return;
+        }
+
+        // null, arrays, numbers and strings are valid JSON but not form data
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            response.writeHead(400, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Body must be a JSON object' }));
+            return;
+        }
+
+        // Same {isValid, fields, errors} shape the browser produces
+        let result;
+        try {
+            result = await createValidator().validateFormAsync(payload);
+        } catch (error) {
+            console.error('Validation failed:', error);
+            response.writeHead(500, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Validation failed' }));
+            return;
+        }
+
+        response.writeHead(result.isValid ? 200 : 422, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(result));
+    });
+});
+
+server.listen(3000, () => {
+    console.log('Validation server listening on http://localhost:3000/contact');
+});
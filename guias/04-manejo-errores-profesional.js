@@ -35,6 +35,11 @@ function badErrorHandling() {
  * ✅ BUENO: Manejo profesional de errores
  */
 
+// La regla de email es la misma que usan los formularios (js/email-address.js).
+// Se importa explícitamente para que esta guía se pueda ejecutar sola:
+// node guias/04-manejo-errores-profesional.js
+const EmailAddress = require('../js/email-address.js');
+
 /**
  * 1. CUSTOM ERROR CLASSES (errores específicos del dominio)
  */
@@ -87,15 +92,14 @@ class ProfessionalValidator {
             throw new ValidationError('email', email, 'required', 'Email is required');
         }
 
-        // Validar formato
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            throw new ValidationError('email', email, 'format', 'Invalid email format');
-        }
-
-        // Validar longitud
-        if (email.length > 254) {
-            throw new ValidationError('email', email, 'length', 'Email too long (max 254 characters)');
+        // Validar formato y longitud (RFC 5321) sin repetir la regla aquí
+        const result = EmailAddress.validate(email);
+        if (!result.valid) {
+            const messages = {
+                length: 'Email too long (max 254 characters)',
+                localLength: 'Email user name too long (max 64 characters)'
+            };
+            throw new ValidationError('email', email, result.reason, messages[result.reason] || 'Invalid email format');
         }
 
         return true;
@@ -39,119 +39,153 @@ class ValidationApp {
     }
 
     /**
-     * Initialize the form handler
+     * Initialize the form handler and subscribe to its events
      */
     initializeFormHandler() {
-        // Create custom form handler class that extends the base FormHandler
-        class CustomFormHandler extends FormHandler {
-            onFormValid(formData) {
-                console.log('✅ Form validation passed!', formData);
-                this.showFormSummary(formData);
-                this.showSuccessMessage();
-            }
+        this.formHandler = new FormHandler('#registrationForm', this.validator);
+
+        this.formHandler.on('submit:success', ({ data }) => {
+            console.log('✅ Form validation passed!', data);
+            this.showFormSummary(data);
+            this.showSuccessMessage();
+        });
 
-            onFormInvalid(validationResult) {
-                console.log('❌ Form validation failed:', validationResult);
-                this.hideFormSummary();
-                this.showErrorSummary(validationResult);
+        this.formHandler.on('submit:error', ({ phase, result, error }) => {
+            console.log(`❌ Form submission failed (${phase}):`, error || result.errors);
+            this.hideFormSummary();
+            if (phase === 'validation') {
+                this.showErrorSummary(result);
             }
+        });
 
-            showFormSummary(formData) {
-                const summaryElement = document.getElementById('formSummary');
-                const summaryContent = document.getElementById('summaryContent');
-                
-                let html = '';
-                Object.entries(formData).forEach(([key, value]) => {
-                    if (value && value !== '') {
-                        const label = this.getFieldLabel(key);
-                        const displayValue = this.formatDisplayValue(key, value);
-                        html += `
-                            <div class="summary-field">
-                                <span class="summary-label">${label}:</span>
-                                <span class="summary-value">${displayValue}</span>
-                            </div>
-                        `;
-                    }
-                });
+        this.formHandler.on('reset', () => {
+            this.hideFormSummary();
+            this.hideMessages();
+        });
+    }
 
-                summaryContent.innerHTML = html;
-                summaryElement.style.display = 'block';
-                summaryElement.scrollIntoView({ behavior: 'smooth' });
+    /**
+     * Show the submitted values below the form
+     * @param {object} formData - Valid form data
+     */
+    showFormSummary(formData) {
+        const summaryElement = document.getElementById('formSummary');
+        const summaryContent = document.getElementById('summaryContent');
+        
+        let html = '';
+        Object.entries(formData).forEach(([key, value]) => {
+            if (value && value !== '') {
+                const label = this.getFieldLabel(key);
+                const displayValue = this.formatDisplayValue(key, value);
+                html += `
+                    <div class="summary-field">
+                        <span class="summary-label">${label}:</span>
+                        <span class="summary-value">${displayValue}</span>
+                    </div>
+                `;
             }
+        });
 
-            hideFormSummary() {
-                const summaryElement = document.getElementById('formSummary');
-                summaryElement.style.display = 'none';
-            }
+        summaryContent.innerHTML = html;
+        summaryElement.style.display = 'block';
+        summaryElement.scrollIntoView({ behavior: 'smooth' });
+    }
 
-            getFieldLabel(fieldName) {
-                const element = document.querySelector(`[name="${fieldName}"]`);
-                if (element) {
-                    const label = document.querySelector(`label[for="${element.id}"]`);
-                    if (label) {
-                        return label.textContent.replace('*', '').trim();
-                    }
-                }
-                return fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+    /**
+     * Hide the submitted values summary
+     */
+    hideFormSummary() {
+        const summaryElement = document.getElementById('formSummary');
+        summaryElement.style.display = 'none';
+    }
+
+    /**
+     * Get a field's label text
+     * @param {string} fieldName - Field name
+     * @returns {string} Label
+     */
+    getFieldLabel(fieldName) {
+        const element = document.querySelector(`[name="${fieldName}"]`);
+        if (element) {
+            const label = document.querySelector(`label[for="${element.id}"]`);
+            if (label) {
+                return label.textContent.replace('*', '').trim();
             }
+        }
+        return fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
+    }
 
-            formatDisplayValue(fieldName, value) {
-                // Format boolean values
-                if (typeof value === 'boolean') {
-                    return value ? 'Yes' : 'No';
-                }
+    /**
+     * Format a value for the summary
+     * @param {string} fieldName - Field name
+     * @param {any} value - Field value
+     * @returns {string} Display value
+     */
+    formatDisplayValue(fieldName, value) {
+        // Format boolean values
+        if (typeof value === 'boolean') {
+            return value ? 'Yes' : 'No';
+        }
 
-                // Format arrays (for checkboxes)
-                if (Array.isArray(value)) {
-                    return value.join(', ');
-                }
+        // Format arrays (for checkboxes)
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
 
-                // Format password fields
-                if (fieldName.toLowerCase().includes('password')) {
-                    return '••••••••';
-                }
+        // Format amounts from the money transformer ({ amount, currency })
+        if (value && typeof value.amount === 'number' && typeof Money !== 'undefined') {
+            return Money.format(value, this.validator.getLocale());
+        }
 
-                // Truncate long text
-                if (typeof value === 'string' && value.length > 50) {
-                    return value.substring(0, 50) + '...';
-                }
+        // Format password fields
+        if (fieldName.toLowerCase().includes('password')) {
+            return '••••••••';
+        }
 
-                return value;
-            }
+        // Truncate long text
+        if (typeof value === 'string' && value.length > 50) {
+            return value.substring(0, 50) + '...';
+        }
 
-            showSuccessMessage() {
-                // Remove existing success messages
-                const existingMessage = document.querySelector('.success-message');
-                if (existingMessage) {
-                    existingMessage.remove();
-                }
+        return value;
+    }
 
-                const message = document.createElement('div');
-                message.className = 'success-message';
-                message.innerHTML = `
-                    <strong>🎉 Registration Successful!</strong>
-                    <br>Your account has been created successfully. Check your email for confirmation.
-                `;
+    /**
+     * Show the registration success message
+     */
+    showSuccessMessage() {
+        // Remove existing success messages
+        const existingMessage = document.querySelector('.success-message');
+        if (existingMessage) {
+            existingMessage.remove();
+        }
 
-                const form = document.getElementById('registrationForm');
-                form.insertBefore(message, form.firstChild);
-            }
+        const message = document.createElement('div');
+        message.className = 'success-message';
+        message.innerHTML = `
+            <strong>🎉 Registration Successful!</strong>
+            <br>Your account has been created successfully. Check your email for confirmation.
+        `;
 
-            showErrorSummary(validationResult) {
-                console.log('Validation errors:', validationResult.errors);
-                
-                // Focus on first invalid field
-                const firstError = validationResult.errors[0];
-                if (firstError) {
-                    const field = document.querySelector(`[name="${firstError.field}"]`);
-                    if (field) {
-                        field.focus();
-                    }
-                }
+        const form = document.getElementById('registrationForm');
+        form.insertBefore(message, form.firstChild);
+    }
+
+    /**
+     * Focus the first invalid field
+     * @param {object} validationResult - Validation result
+     */
+    showErrorSummary(validationResult) {
+        console.log('Validation errors:', validationResult.errors);
+        
+        // Focus on first invalid field
+        const firstError = validationResult.errors[0];
+        if (firstError) {
+            const field = document.querySelector(`[name="${firstError.field}"]`);
+            if (field) {
+                field.focus();
             }
         }
-
-        this.formHandler = new CustomFormHandler('#registrationForm', this.validator);
     }
 
     /**
@@ -167,35 +201,9 @@ class ValidationApp {
             return !unavailableUsernames.includes(value.toLowerCase());
         }, 'This username is not available');
 
-        // Add Brazilian CPF validation example
-        this.validator.addValidationRule('cpf', (value, params) => {
-            if (!value) return true;
-            
-            // Remove non-numeric characters
-            const cpf = value.replace(/\D/g, '');
-            
-            // Check if it has 11 digits
-            if (cpf.length !== 11) return false;
-            
-            // Check for invalid sequences
-            if (/^(\d)\1{10}$/.test(cpf)) return false;
-            
-            // CPF validation algorithm
-            let sum = 0;
-            for (let i = 0; i < 9; i++) {
-                sum += parseInt(cpf.charAt(i)) * (10 - i);
-            }
-            let remainder = 11 - (sum % 11);
-            if (remainder === 10 || remainder === 11) remainder = 0;
-            if (remainder !== parseInt(cpf.charAt(9))) return false;
-            
-            sum = 0;
-            for (let i = 0; i < 10; i++) {
-                sum += parseInt(cpf.charAt(i)) * (11 - i);
-            }
-            remainder = 11 - (sum % 11);
-            if (remainder === 10 || remainder === 11) remainder = 0;
-            return remainder === parseInt(cpf.charAt(10));
+        // Brazilian CPF, checked by the national ID rule pack (js/national-id.js)
+        this.validator.addValidationRule('cpf', (value, params, formData) => {
+            return this.validator.getRule('nationalId')(value, { documentType: 'BR_CPF' }, formData);
         }, 'Please enter a valid CPF number');
 
         // Add credit card validation
@@ -244,7 +252,6 @@ class ValidationApp {
         if (resetBtn) {
             resetBtn.addEventListener('click', () => {
                 this.formHandler.reset();
-                this.hideMessages();
             });
         }
 
@@ -256,12 +263,8 @@ class ValidationApp {
             });
         }
 
-        // Form validation trigger on field changes
-        document.addEventListener('input', (e) => {
-            if (e.target.matches('input, select, textarea')) {
-                this.updateValidationState();
-            }
-        });
+        // Refresh the validation state whenever a field is validated
+        this.formHandler.on('field:validated', () => this.updateValidationState());
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
@@ -274,7 +277,6 @@ class ValidationApp {
             // Escape to reset form
             if (e.key === 'Escape') {
                 this.formHandler.reset();
-                this.hideMessages();
             }
         });
     }
@@ -485,6 +487,15 @@ class ValidationApp {
         console.log(`🌓 Theme changed programmatically to: ${theme}`);
     }
 
+    /**
+     * Change the validation message locale
+     * @param {string} locale - Locale code, e.g. 'en' or 'es'
+     */
+    changeLocale(locale) {
+        this.formHandler.setLocale(locale);
+        console.log(`🌐 Validation locale changed to: ${locale}`);
+    }
+
     /**
      * Get current theme
      */
@@ -501,18 +512,10 @@ window.app = app;
 
 // Example of how to add custom validation rules at runtime
 document.addEventListener('DOMContentLoaded', () => {
-    // Example: Add a custom validation rule for strong passwords
-    app.addValidationRule('superStrongPassword', (value, params) => {
-        if (!value) return true;
-        
-        const hasUpperCase = /[A-Z]/.test(value);
-        const hasLowerCase = /[a-z]/.test(value);
-        const hasNumbers = /\d/.test(value);
-        const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(value);
-        const hasNoCommonWords = !/(password|123456|qwerty|admin)/i.test(value);
-        const isLongEnough = value.length >= 12;
-        
-        return hasUpperCase && hasLowerCase && hasNumbers && hasSpecialChar && hasNoCommonWords && isLongEnough;
+    // Example: a custom rule built on the password policy's 'strong' preset
+    // (12+ characters and a strong score, on top of the usual requirements)
+    app.addValidationRule('superStrongPassword', (value, params, formData) => {
+        return app.validator.getRule('password')(value, { policy: 'strong', ...params }, formData);
     }, 'Password must be at least 12 characters with uppercase, lowercase, numbers, special characters, and no common words');
 
     console.log('🚀 Dynamic Form Validation System Ready!');
@@ -0,0 +1,366 @@
+/**
+ * Date Values
+ * Strict ISO parsing of date, time and datetime-local values, relative and
+ * field-referenced bounds, exact ages and business days
+ */
+
+class DateValue {
+    /**
+     * Validate a date, time or date and time against bounds and allowed days
+     * @param {string|Date} value - 'YYYY-MM-DD', 'HH:MM[:SS]' or 'YYYY-MM-DDTHH:MM[:SS]', or a Date
+     * @param {string} kind - 'date', 'time' or 'dateTime'
+     * @param {object} options - Constraints, all optional
+     * @param {string} options.min - Earliest value allowed (inclusive); see DateValue.resolve for bounds
+     * @param {string} options.max - Latest value allowed (inclusive)
+     * @param {string} options.after - Value must be later than this bound
+     * @param {string} options.before - Value must be earlier than this bound
+     * @param {array} options.weekdays - Allowed days, as 0-6 (Sunday is 0) or names ('mon')
+     * @param {boolean} options.businessDay - Only Monday to Friday, except options.holidays
+     * @param {array} options.holidays - 'YYYY-MM-DD' dates that are not business days
+     * @param {object} formData - Form data, for bounds naming another field
+     * @param {Date} now - Current time, for relative bounds
+     * @returns {object} { valid, reason, params }; reason is 'format', 'min', 'max',
+     *   'after', 'before', 'weekday' or 'businessDay'. Failed bounds are in params as
+     *   ISO strings; on success params hold the ISO value and its weekday.
+     */
+    static validate(value, kind = 'date', options = {}, formData = {}, now = new Date()) {
+        const time = DateValue.parse(value, kind);
+        if (time === null) {
+            return { valid: false, reason: 'format', params: {} };
+        }
+
+        const checks = {
+            min: bound => time >= bound,
+            max: bound => time <= bound,
+            after: bound => time > bound,
+            before: bound => time < bound
+        };
+        for (const name of Object.keys(checks)) {
+            const bound = DateValue.resolve(options[name], kind, formData, now, options.holidays);
+            if (bound !== null && !checks[name](bound)) {
+                return { valid: false, reason: name, params: { [name]: DateValue.format(bound, kind) } };
+            }
+        }
+
+        const weekday = new Date(time).getUTCDay();
+        if (kind !== 'time') {
+            const allowed = options.weekdays ? [].concat(options.weekdays).map(DateValue.weekdayNumber) : null;
+            if (allowed && !allowed.includes(weekday)) {
+                return { valid: false, reason: 'weekday', params: { weekdays: allowed } };
+            }
+            if (options.businessDay && !DateValue.isBusinessDay(time, options.holidays)) {
+                return { valid: false, reason: 'businessDay', params: {} };
+            }
+        }
+
+        const params = { iso: DateValue.format(time, kind) };
+        if (kind !== 'time') params.weekday = DateValue.WEEKDAYS[weekday];
+        return { valid: true, reason: null, params };
+    }
+
+    /**
+     * Parse a value into wall-clock milliseconds: the date and time as typed,
+     * stored as if they were UTC so no time zone or DST change can shift them.
+     * Times of day count from 1970-01-01.
+     * @param {string|Date} value - ISO string of the given kind, or a Date (read in local time)
+     * @param {string} kind - 'date', 'time' or 'dateTime'
+     * @returns {number|null} Wall-clock milliseconds, or null if it is not a real date or time
+     */
+    static parse(value, kind = 'date') {
+        if (value instanceof Date) {
+            if (isNaN(value)) return null;
+            const time = DateValue.fromParts(value.getFullYear(), value.getMonth() + 1, value.getDate(),
+                value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds());
+            return DateValue.truncate(time, kind);
+        }
+
+        const match = DateValue.FORMATS[kind] && DateValue.FORMATS[kind].exec(String(value).trim());
+        if (!match) return null;
+
+        const numbers = match.slice(1).map(part => (part === undefined ? 0 : Number(part)));
+        // Fractions of a second: '.5' is 500 ms
+        const fraction = match[match.length - 1];
+        if (kind !== 'date' && fraction !== undefined) {
+            numbers[numbers.length - 1] = Number(fraction.padEnd(3, '0'));
+        }
+
+        const [year, month, day, hours, minutes, seconds, milliseconds] = kind === 'time'
+            ? [1970, 1, 1, ...numbers]
+            : numbers;
+
+        if (year < 1 || month < 1 || month > 12 || day < 1 || day > DateValue.daysInMonth(year, month) ||
+            hours > 23 || minutes > 59 || seconds > 59) {
+            return null;
+        }
+        return DateValue.fromParts(year, month, day, hours, minutes, seconds, milliseconds);
+    }
+
+    /**
+     * Turn a bound into wall-clock milliseconds. A bound is one of:
+     * - an ISO value: '2025-12-31', '08:00', '2025-12-31T18:00'
+     * - 'today' (midnight) or 'now'
+     * - an offset from today, or from now for times: '-18y', '+30d', 'now+2h',
+     *   'today-1y+1d'. Units are y, m (months), w, d, bd (business days), h and min.
+     * - the name of a form field; an empty or invalid field value sets no bound
+     * Anything else sets no bound and logs a warning.
+     * @param {string|null} bound - Bound
+     * @param {string} kind - Kind of the value it is compared with
+     * @param {object} formData - Form data, for field names
+     * @param {Date} now - Current time
+     * @param {array} holidays - Dates skipped by business-day offsets
+     * @returns {number|null} Wall-clock milliseconds, or null for no bound
+     */
+    static resolve(bound, kind = 'date', formData = {}, now = new Date(), holidays = []) {
+        if (bound === null || bound === undefined || bound === '') return null;
+
+        if (Object.prototype.hasOwnProperty.call(formData, bound)) {
+            const value = formData[bound];
+            if (value === null || value === undefined || value === '') return null;
+            return DateValue.parseAny(value, kind);
+        }
+
+        const literal = DateValue.parseAny(bound, kind);
+        if (literal !== null) return literal;
+
+        const match = /^(today|now)?((?:\s*[+-]\s*\d+\s*(?:min|bd|y|m|w|d|h))*)$/.exec(String(bound).trim().toLowerCase());
+        if (!match || (!match[1] && !match[2])) {
+            console.warn(`Bound "${bound}" is not a ${kind}, an offset or a field in the form data`);
+            return null;
+        }
+
+        // Dates count from today's midnight, times and dates with times from now
+        const base = match[1] || (kind === 'date' ? 'today' : 'now');
+        let time = DateValue.parse(now, base === 'today' ? 'date' : 'dateTime');
+
+        const terms = /([+-])\s*(\d+)\s*(min|bd|y|m|w|d|h)/g;
+        let term;
+        while ((term = terms.exec(match[2])) !== null) {
+            const amount = Number(term[2]) * (term[1] === '-' ? -1 : 1);
+            time = DateValue.add(time, amount, term[3], holidays);
+        }
+
+        return DateValue.truncate(time, kind);
+    }
+
+    /**
+     * Parse a bound or another field's value, accepting any kind that can be
+     * compared: a date is midnight for date-times, a date-time's day for dates
+     * @param {string|Date} value - Value
+     * @param {string} kind - Kind to compare with
+     * @returns {number|null} Wall-clock milliseconds, or null
+     */
+    static parseAny(value, kind) {
+        const exact = DateValue.parse(value, kind);
+        if (exact !== null || kind === 'time') return exact;
+
+        const other = DateValue.parse(value, kind === 'date' ? 'dateTime' : 'date');
+        return other === null ? null : DateValue.truncate(other, kind);
+    }
+
+    /**
+     * Add calendar units to wall-clock milliseconds. Months and years keep the
+     * day of the month where it exists and otherwise end on the month's last
+     * day, so 2024-01-31 plus one month is 2024-02-29.
+     * @param {number} time - Wall-clock milliseconds
+     * @param {number} amount - Units to add, negative to subtract
+     * @param {string} unit - 'y', 'm', 'w', 'd', 'bd', 'h' or 'min'
+     * @param {array} holidays - Dates skipped by 'bd'
+     * @returns {number} Wall-clock milliseconds
+     */
+    static add(time, amount, unit, holidays = []) {
+        const date = new Date(time);
+
+        if (unit === 'y' || unit === 'm') {
+            const day = date.getUTCDate();
+            date.setUTCDate(1);
+            date.setUTCMonth(date.getUTCMonth() + (unit === 'y' ? amount * 12 : amount));
+            date.setUTCDate(Math.min(day, DateValue.daysInMonth(date.getUTCFullYear(), date.getUTCMonth() + 1)));
+            return date.getTime();
+        }
+
+        if (unit === 'bd') {
+            const step = amount < 0 ? -1 : 1;
+            let remaining = Math.abs(amount);
+            let result = time;
+            while (remaining > 0) {
+                result += step * DateValue.DAY;
+                if (DateValue.isBusinessDay(result, holidays)) remaining--;
+            }
+            return result;
+        }
+
+        const units = { w: 7 * DateValue.DAY, d: DateValue.DAY, h: 3600000, min: 60000 };
+        return time + amount * units[unit];
+    }
+
+    /**
+     * Exact age in completed years. Someone born on 29 February turns a year
+     * older on 1 March in common years.
+     * @param {string|Date} birthDate - Birth date
+     * @param {string|Date} on - Date the age is computed at (today by default)
+     * @returns {number|null} Age, negative for future birth dates, or null if a date is invalid
+     */
+    static age(birthDate, on = new Date()) {
+        const birth = DateValue.parseAny(birthDate, 'date');
+        const at = DateValue.parseAny(on, 'date');
+        if (birth === null || at === null) return null;
+
+        const from = new Date(birth);
+        const to = new Date(at);
+        let years = to.getUTCFullYear() - from.getUTCFullYear();
+        const birthday = [from.getUTCMonth(), from.getUTCDate()];
+        const current = [to.getUTCMonth(), to.getUTCDate()];
+
+        if (current[0] < birthday[0] || (current[0] === birthday[0] && current[1] < birthday[1])) {
+            years--;
+        }
+        return years;
+    }
+
+    /**
+     * Whether a day is Monday to Friday and not a holiday
+     * @param {number} time - Wall-clock milliseconds
+     * @param {array} holidays - 'YYYY-MM-DD' dates
+     * @returns {boolean} True for business days
+     */
+    static isBusinessDay(time, holidays = []) {
+        const weekday = new Date(time).getUTCDay();
+        return DateValue.BUSINESS_DAYS.includes(weekday) &&
+            !(holidays || []).includes(DateValue.format(time, 'date'));
+    }
+
+    /**
+     * Day number of a weekday
+     * @param {number|string} day - 0-6 or a name such as 'mon', 'Monday' or 'miércoles'
+     * @returns {number} 0 (Sunday) to 6 (Saturday), or -1 if unknown
+     */
+    static weekdayNumber(day) {
+        if (typeof day === 'number') return day;
+        const key = String(day).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').slice(0, 3);
+        if (/^\d$/.test(key)) return Number(key);
+        const index = DateValue.WEEKDAYS.indexOf(key);
+        return index !== -1 ? index : DateValue.WEEKDAYS_ES.indexOf(key);
+    }
+
+    /**
+     * Format wall-clock milliseconds as the ISO value of a kind
+     * @param {number} time - Wall-clock milliseconds
+     * @param {string} kind - 'date', 'time' or 'dateTime'
+     * @returns {string} 'YYYY-MM-DD', 'HH:MM' or 'YYYY-MM-DDTHH:MM' (seconds only when set)
+     */
+    static format(time, kind = 'date') {
+        const iso = new Date(time).toISOString();
+        const date = iso.slice(0, 10);
+        const clock = iso.slice(17, 19) === '00' ? iso.slice(11, 16) : iso.slice(11, 19);
+
+        if (kind === 'time') return clock;
+        if (kind === 'dateTime') return `${date}T${clock}`;
+        return date;
+    }
+
+    /**
+     * Format wall-clock milliseconds for people, in a locale's style
+     * @param {number|string} time - Wall-clock milliseconds, or an ISO value of the kind
+     * @param {string} kind - 'date', 'time' or 'dateTime'
+     * @param {string} locale - Locale code
+     * @returns {string} E.g. '31/12/2025' for 'es'
+     */
+    static toDisplay(time, kind, locale) {
+        const value = typeof time === 'number' ? time : DateValue.parse(time, kind);
+        if (value === null || typeof Intl === 'undefined') return String(time);
+
+        const options = { timeZone: 'UTC' };
+        if (kind !== 'time') Object.assign(options, { year: 'numeric', month: '2-digit', day: '2-digit' });
+        if (kind !== 'date') Object.assign(options, { hour: '2-digit', minute: '2-digit' });
+        return new Intl.DateTimeFormat(locale, options).format(new Date(value));
+    }
+
+    /**
+     * Localized weekday name
+     * @param {number} day - 0 (Sunday) to 6
+     * @param {string} locale - Locale code
+     * @returns {string} E.g. 'Monday' or 'lunes'
+     */
+    static weekdayName(day, locale) {
+        if (typeof Intl === 'undefined') return DateValue.WEEKDAYS[day];
+        // 4 January 1970 was a Sunday
+        return new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' }).format(new Date((3 + day) * DateValue.DAY));
+    }
+
+    /**
+     * Convert a value to a Date at its local wall-clock time, for transformers
+     * @param {string} value - ISO value of the kind
+     * @param {string} kind - 'date' or 'dateTime'
+     * @returns {Date|null} Local Date, or null if the value does not parse
+     */
+    static toDate(value, kind = 'date') {
+        const time = DateValue.parse(value, kind);
+        if (time === null) return null;
+
+        const parts = new Date(time);
+        const date = new Date(2000, 0, 1);
+        date.setFullYear(parts.getUTCFullYear(), parts.getUTCMonth(), parts.getUTCDate());
+        date.setHours(parts.getUTCHours(), parts.getUTCMinutes(), parts.getUTCSeconds(), parts.getUTCMilliseconds());
+        return date;
+    }
+
+    /**
+     * Wall-clock milliseconds of a date and time. Years below 100 are kept
+     * as typed instead of becoming 19xx.
+     * @returns {number} Milliseconds
+     */
+    static fromParts(year, month, day, hours = 0, minutes = 0, seconds = 0, milliseconds = 0) {
+        const date = new Date(0);
+        date.setUTCFullYear(year, month - 1, day);
+        date.setUTCHours(hours, minutes, seconds, milliseconds);
+        return date.getTime();
+    }
+
+    /**
+     * Keep the part of wall-clock milliseconds a kind compares
+     * @param {number} time - Wall-clock milliseconds
+     * @param {string} kind - 'date' (midnight), 'time' (time of day) or 'dateTime' (all)
+     * @returns {number} Milliseconds
+     */
+    static truncate(time, kind) {
+        const dayStart = Math.floor(time / DateValue.DAY) * DateValue.DAY;
+        if (kind === 'date') return dayStart;
+        if (kind === 'time') return time - dayStart;
+        return time;
+    }
+
+    /**
+     * Number of days in a month
+     * @param {number} year - Year
+     * @param {number} month - 1-12
+     * @returns {number} 28-31
+     */
+    static daysInMonth(year, month) {
+        // Day 0 of the next month is the last day of this one
+        const date = new Date(0);
+        date.setUTCFullYear(year, month, 0);
+        return date.getUTCDate();
+    }
+}
+
+DateValue.DAY = 86400000;
+
+// ISO forms used by <input type="date">, "time" and "datetime-local"; seconds
+// and fractions are optional, and date-times may use a space instead of 'T'
+DateValue.FORMATS = {
+    date: /^(\d{4})-(\d{2})-(\d{2})$/,
+    time: /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/,
+    dateTime: /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/
+};
+
+// Weekday keys by getUTCDay() number, in English and Spanish
+DateValue.WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+DateValue.WEEKDAYS_ES = ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab'];
+
+// Monday to Friday
+DateValue.BUSINESS_DAYS = [1, 2, 3, 4, 5];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateValue;
+}
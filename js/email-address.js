@@ -0,0 +1,202 @@
+/**
+ * Email Addresses
+ * RFC 5321 syntax and length checks, internationalized domains, disposable
+ * providers and typo suggestions
+ */
+
+class EmailAddress {
+    /**
+     * Validate an email address
+     * @param {string} value - Address as typed
+     * @param {object} options - Restrictions, all off by default
+     * @param {boolean} options.allowPlus - False rejects plus addressing (user+tag@...)
+     * @param {array} options.domains - Only accept these domains and their subdomains
+     * @param {boolean} options.allowDisposable - False rejects EmailAddress.DISPOSABLE_DOMAINS
+     * @returns {object} { valid, reason, params }; reason is 'format', 'length',
+     *   'localLength', 'plus', 'domain' or 'disposable'. On success params hold the
+     *   local part, the domain and its ASCII (punycode) form.
+     */
+    static validate(value, options = {}) {
+        const { allowPlus = true, domains = [], allowDisposable = true } = options;
+        const address = String(value).trim();
+        const at = address.lastIndexOf('@');
+        const local = address.slice(0, at);
+        const domain = address.slice(at + 1).toLowerCase();
+        const ascii = at > 0 ? EmailAddress.toAscii(domain) : null;
+
+        if (!ascii || !EmailAddress.LOCAL_PART.test(local)) {
+            return { valid: false, reason: 'format', params: {} };
+        }
+
+        // RFC 5321 limits count octets: 64 for the local part, 254 for the address
+        const localLength = EmailAddress.byteLength(local);
+        if (localLength > 64) {
+            return { valid: false, reason: 'localLength', params: { max: 64 } };
+        }
+        if (localLength + 1 + ascii.length > 254) {
+            return { valid: false, reason: 'length', params: { max: 254 } };
+        }
+
+        if (!allowPlus && local.includes('+')) {
+            return { valid: false, reason: 'plus', params: {} };
+        }
+
+        const allowed = [].concat(domains).map(entry => EmailAddress.toAscii(String(entry).toLowerCase()));
+        if (allowed.length > 0 && !allowed.some(entry => EmailAddress.isWithin(ascii, entry))) {
+            return { valid: false, reason: 'domain', params: { domains: [].concat(domains).join(', ') } };
+        }
+
+        if (!allowDisposable && EmailAddress.isDisposable(ascii)) {
+            return { valid: false, reason: 'disposable', params: { domain } };
+        }
+
+        return { valid: true, reason: null, params: { local, domain, ascii } };
+    }
+
+    /**
+     * Convert a domain to its ASCII form ('bücher.de' -> 'xn--bcher-kva.de') and
+     * check it: letters, digits and inner hyphens, labels up to 63 characters,
+     * 253 in total, and a top-level domain that is not numeric
+     * @param {string} domain - Domain, possibly with Unicode labels
+     * @returns {string|null} ASCII domain, or null if it is not a valid host name
+     */
+    static toAscii(domain) {
+        if (!/^[^\s/\\?#@:%[\]]+$/.test(domain) || domain.startsWith('.') || domain.endsWith('.')) {
+            return null;
+        }
+
+        let ascii;
+        try {
+            // URL applies the IDNA mapping browsers use for host names
+            ascii = new URL(`http://${domain}`).hostname;
+        } catch {
+            return null;
+        }
+
+        const labels = ascii.split('.');
+        const validLabels = labels.every(label => /^[a-z\d]([a-z\d-]{0,61}[a-z\d])?$/.test(label));
+        const tld = labels[labels.length - 1];
+
+        if (labels.length < 2 || !validLabels || ascii.length > 253 || !/^([a-z]{2,63}|xn--[a-z\d-]{1,59})$/.test(tld)) {
+            return null;
+        }
+        return ascii;
+    }
+
+    /**
+     * UTF-8 length of a string, as counted by mail servers
+     * @param {string} text - Text to measure
+     * @returns {number} Bytes
+     */
+    static byteLength(text) {
+        return typeof TextEncoder !== 'undefined'
+            ? new TextEncoder().encode(text).length
+            : unescape(encodeURIComponent(text)).length;
+    }
+
+    /**
+     * Whether a domain is a given domain or one of its subdomains
+     * @param {string} domain - Domain to test
+     * @param {string} parent - Domain it must belong to
+     * @returns {boolean} True for 'mail.empresa.com' within 'empresa.com'
+     */
+    static isWithin(domain, parent) {
+        return Boolean(parent) && (domain === parent || domain.endsWith(`.${parent}`));
+    }
+
+    /**
+     * Whether an address or domain belongs to a disposable (throwaway) provider
+     * @param {string} value - Address or ASCII domain
+     * @returns {boolean} True if the domain or a parent is on the blocklist
+     */
+    static isDisposable(value) {
+        const domain = String(value).slice(String(value).lastIndexOf('@') + 1).toLowerCase();
+        return EmailAddress.DISPOSABLE_DOMAINS.some(entry => EmailAddress.isWithin(domain, entry));
+    }
+
+    /**
+     * Suggest a correction for a misspelled popular domain
+     * @param {string} value - Address as typed
+     * @returns {string|null} Corrected address ('ana@gmail.com' for 'ana@gmial.com'), or null
+     */
+    static suggest(value) {
+        const address = String(value).trim();
+        const at = address.lastIndexOf('@');
+        if (at < 1) return null;
+
+        const domain = address.slice(at + 1).toLowerCase();
+        if (!domain || EmailAddress.POPULAR_DOMAINS.includes(domain) || EmailAddress.isDisposable(domain)) {
+            return null;
+        }
+
+        // One typo per four characters, at most two; only one if the first
+        // letter differs, so yopmail.com is not taken for hotmail.com
+        const limit = Math.min(2, Math.floor(domain.length / 4));
+        let best = null;
+        let bestDistance = limit + 1;
+
+        EmailAddress.POPULAR_DOMAINS.forEach(candidate => {
+            const distance = EmailAddress.distance(domain, candidate);
+            const allowed = domain[0] === candidate[0] ? limit : Math.min(limit, 1);
+            if (distance <= allowed && distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return best ? `${address.slice(0, at)}@${best}` : null;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of
+     * adjacent characters ('gmial' -> 'gmail' is 1)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of edits
+     */
+    static distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+}
+
+// Dot-separated atoms (RFC 5322), without leading, trailing or consecutive dots.
+// Letters outside ASCII are allowed for internationalized mail (RFC 6531).
+EmailAddress.LOCAL_PART = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u;
+
+// Domains typo suggestions point to
+EmailAddress.POPULAR_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'hotmail.com', 'hotmail.es', 'hotmail.co.uk',
+    'outlook.com', 'outlook.es', 'live.com', 'msn.com', 'yahoo.com', 'yahoo.es',
+    'yahoo.com.mx', 'yahoo.com.ar', 'yahoo.co.uk', 'ymail.com', 'icloud.com',
+    'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me', 'gmx.com',
+    'gmx.de', 'mail.com', 'zoho.com'
+];
+
+// Throwaway inbox providers; subdomains are blocked too
+EmailAddress.DISPOSABLE_DOMAINS = [
+    '10minutemail.com', '20minutemail.com', '33mail.com', 'burnermail.io',
+    'discard.email', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com',
+    'getairmail.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net',
+    'guerrillamailblock.com', 'harakirimail.com', 'inboxkitten.com', 'jetable.org',
+    'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com', 'mohmal.com',
+    'mytemp.email', 'sharklasers.com', 'spamgourmet.com', 'temp-mail.org',
+    'tempail.com', 'tempmail.com', 'tempmailo.com', 'tempr.email',
+    'throwawaymail.com', 'trashmail.com', 'yopmail.com', 'yopmail.fr'
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmailAddress;
+}
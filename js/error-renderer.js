@@ -0,0 +1,261 @@
+/**
+ * Error Renderers
+ * Strategies that display a field's validation result
+ */
+
+class ErrorRenderer {
+    /**
+     * Display a field's validation result
+     * @param {HTMLElement} element - Field, or the fieldset of a radio/checkbox group
+     * @param {object} result - Field result { isValid, errors, warnings }
+     * @param {object} context - { fieldName, inputs, messageId(type) }
+     */
+    render(element, result, context = {}) {
+        // Implemented by each strategy
+    }
+
+    /**
+     * Remove what render() displayed
+     * @param {HTMLElement} element - Field or group element
+     * @param {object} context - Same context as render()
+     */
+    clear(element, context = {}) {
+        // Implemented by each strategy
+    }
+
+    /**
+     * Build a renderer from a name, a callback or a renderer object
+     * @param {string|function|object} spec - 'inline', 'tooltip', 'summary', 'native',
+     *   a render(element, result, context) function, or an object with render/clear
+     * @returns {ErrorRenderer} Renderer
+     */
+    static create(spec = 'inline') {
+        if (typeof spec === 'function') {
+            return new CallbackErrorRenderer({ render: spec });
+        }
+        if (spec && typeof spec === 'object') {
+            return typeof spec.clear === 'function' ? spec : new CallbackErrorRenderer(spec);
+        }
+
+        const Renderer = ErrorRenderer.TYPES[spec];
+        if (!Renderer) {
+            throw new Error(`Unknown error renderer "${spec}". Use one of: ${Object.keys(ErrorRenderer.TYPES).join(', ')}`);
+        }
+        return new Renderer();
+    }
+
+    /**
+     * Id for a message element, if the context provides one
+     * @param {object} context - Render context
+     * @param {string} type - 'error' or 'warning'
+     * @returns {string|null} Element id
+     */
+    static messageId(context, type) {
+        return context && typeof context.messageId === 'function' ? context.messageId(type) : null;
+    }
+
+    /**
+     * Add or remove an id in an element's aria-describedby, keeping other ids (hints...)
+     * @param {HTMLElement} element - Described element
+     * @param {string} id - Message id
+     * @param {boolean} linked - True to add, false to remove
+     */
+    static setDescribedBy(element, id, linked) {
+        if (!id) return;
+
+        const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+        if (linked) ids.push(id);
+
+        if (ids.length > 0) {
+            element.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            element.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Create a message container holding one item per message
+     * @param {string} className - Container class
+     * @param {array} messages - Error or warning objects
+     * @param {function} itemClass - Maps a message to its item class
+     * @returns {HTMLElement} Container
+     */
+    static createMessageList(className, messages, itemClass) {
+        const container = document.createElement('div');
+        container.className = className;
+
+        messages.forEach(message => {
+            const item = document.createElement('div');
+            item.className = itemClass(message);
+            item.textContent = message.message;
+            container.appendChild(item);
+        });
+        return container;
+    }
+
+    /**
+     * Remove a message element by id, or by class next to the field
+     * @param {HTMLElement} element - Field or group element
+     * @param {string|null} id - Message id
+     * @param {string} selector - Fallback selector within the field's parent
+     */
+    static removeMessage(element, id, selector) {
+        const existing = (id && document.getElementById(id)) || element.parentNode.querySelector(selector);
+        if (existing) {
+            existing.remove();
+        }
+    }
+}
+
+/**
+ * Messages below the field (the default)
+ */
+class InlineErrorRenderer extends ErrorRenderer {
+    render(element, result, context = {}) {
+        let anchor = element;
+
+        if (!result.isValid && result.errors.length > 0) {
+            anchor = this.insert(element, 'error', context,
+                ErrorRenderer.createMessageList('error-message', result.errors, () => 'error-item'), anchor);
+        }
+
+        // Warnings go after any error messages
+        if (result.warnings && result.warnings.length > 0) {
+            this.insert(element, 'warning', context,
+                ErrorRenderer.createMessageList('warning-message', result.warnings, warning => `warning-item ${warning.severity}`), anchor);
+        }
+    }
+
+    clear(element, context = {}) {
+        ['error', 'warning'].forEach(type => {
+            const id = ErrorRenderer.messageId(context, type);
+            ErrorRenderer.setDescribedBy(element, id, false);
+            ErrorRenderer.removeMessage(element, id, `.${type}-message`);
+        });
+    }
+
+    /**
+     * Insert a message container after an anchor and describe the field with it
+     * @param {HTMLElement} element - Field or group element
+     * @param {string} type - 'error' or 'warning'
+     * @param {object} context - Render context
+     * @param {HTMLElement} container - Message container
+     * @param {HTMLElement} anchor - Node to insert after
+     * @returns {HTMLElement} The inserted container
+     */
+    insert(element, type, context, container, anchor) {
+        const id = ErrorRenderer.messageId(context, type);
+        if (id) {
+            container.id = id;
+            ErrorRenderer.setDescribedBy(element, id, true);
+        }
+        element.parentNode.insertBefore(container, anchor.nextSibling);
+        return container;
+    }
+}
+
+/**
+ * First error in a bubble above the field; warnings when there is no error
+ */
+class TooltipErrorRenderer extends ErrorRenderer {
+    render(element, result, context = {}) {
+        const messages = !result.isValid && result.errors.length > 0 ? result.errors : (result.warnings || []);
+        if (messages.length === 0) return;
+
+        const type = messages === result.errors ? 'error' : 'warning';
+        const tooltip = document.createElement('div');
+        tooltip.className = `error-tooltip ${type}`;
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.textContent = messages[0].message;
+
+        const id = ErrorRenderer.messageId(context, type);
+        if (id) {
+            tooltip.id = id;
+            ErrorRenderer.setDescribedBy(element, id, true);
+        }
+
+        // The field's parent is the positioning context (see .has-tooltip in the CSS)
+        element.parentNode.classList.add('has-tooltip');
+        element.parentNode.insertBefore(tooltip, element.nextSibling);
+    }
+
+    clear(element, context = {}) {
+        ['error', 'warning'].forEach(type => {
+            const id = ErrorRenderer.messageId(context, type);
+            ErrorRenderer.setDescribedBy(element, id, false);
+            ErrorRenderer.removeMessage(element, id, '.error-tooltip');
+        });
+        element.parentNode.classList.remove('has-tooltip');
+    }
+}
+
+/**
+ * No message next to the field: only the state classes and the form's error summary
+ */
+class SummaryErrorRenderer extends ErrorRenderer {}
+
+/**
+ * Browser constraint validation: setCustomValidity on each input, so :invalid,
+ * checkValidity() and reportValidity() reflect the result
+ */
+class NativeErrorRenderer extends ErrorRenderer {
+    /**
+     * @param {object} options - { report: true } shows the browser bubble on every render
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { report: false, ...options };
+    }
+
+    render(element, result, context = {}) {
+        const message = !result.isValid && result.errors.length > 0 ? result.errors[0].message : '';
+        const inputs = context.inputs || [element];
+
+        inputs.forEach(input => input.setCustomValidity(message));
+        if (message && this.options.report) {
+            inputs[0].reportValidity();
+        }
+    }
+
+    clear(element, context = {}) {
+        (context.inputs || [element]).forEach(input => input.setCustomValidity(''));
+    }
+}
+
+/**
+ * Delegates to user callbacks
+ */
+class CallbackErrorRenderer extends ErrorRenderer {
+    /**
+     * @param {object} callbacks - { render(element, result, context), clear(element, context) }
+     */
+    constructor(callbacks = {}) {
+        super();
+        this.callbacks = callbacks;
+    }
+
+    render(element, result, context = {}) {
+        if (this.callbacks.render) {
+            this.callbacks.render(element, result, context);
+        }
+    }
+
+    clear(element, context = {}) {
+        if (this.callbacks.clear) {
+            this.callbacks.clear(element, context);
+        }
+    }
+}
+
+// Renderers selectable by name, e.g. data-renderer="tooltip"
+ErrorRenderer.TYPES = {
+    inline: InlineErrorRenderer,
+    tooltip: TooltipErrorRenderer,
+    summary: SummaryErrorRenderer,
+    native: NativeErrorRenderer
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErrorRenderer;
+}
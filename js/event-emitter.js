@@ -0,0 +1,90 @@
+/**
+ * Event Emitter
+ * Minimal publish/subscribe used by FormHandler
+ */
+
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name, e.g. 'field:validated'
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Function that unsubscribes the handler
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Function that unsubscribes the handler
+     */
+    once(event, handler) {
+        const wrapper = payload => {
+            this.off(event, wrapper);
+            handler(payload);
+        };
+        wrapper.handler = handler;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe a handler, or every handler of an event
+     * @param {string} event - Event name
+     * @param {function} handler - Handler given to on() or once(); all if omitted
+     */
+    off(event, handler) {
+        if (!handler) {
+            this.listeners.delete(event);
+            return;
+        }
+
+        const handlers = (this.listeners.get(event) || [])
+            .filter(listener => listener !== handler && listener.handler !== handler);
+        if (handlers.length > 0) {
+            this.listeners.set(event, handlers);
+        } else {
+            this.listeners.delete(event);
+        }
+    }
+
+    /**
+     * Call every handler of an event. A failing handler is logged and
+     * does not stop the others.
+     * @param {string} event - Event name
+     * @param {object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        // Copy so handlers can unsubscribe while being called
+        [...(this.listeners.get(event) || [])].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Number of handlers subscribed to an event
+     * @param {string} event - Event name
+     * @returns {number} Handler count
+     */
+    listenerCount(event) {
+        return (this.listeners.get(event) || []).length;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventEmitter;
+}
@@ -0,0 +1,122 @@
+/**
+ * Form Draft
+ * Throttled persistence of unsent form data with expiry
+ */
+
+class FormDraft {
+    /**
+     * @param {string} key - Storage key
+     * @param {object} options - Draft options
+     * @param {number} options.ttl - Milliseconds a draft stays restorable (default 7 days)
+     * @param {number} options.throttle - Minimum milliseconds between writes (default 1000)
+     * @param {Storage} options.storage - Where drafts live, localStorage by default
+     */
+    constructor(key, options = {}) {
+        this.key = key;
+        this.options = {
+            ttl: 7 * 24 * 60 * 60 * 1000,
+            throttle: 1000,
+            storage: FormDraft.getDefaultStorage(),
+            ...options
+        };
+        this.timer = null;
+        this.pendingData = null;
+    }
+
+    /**
+     * localStorage, or null where it is missing or blocked (private mode, sandboxed frames)
+     * @returns {Storage|null} Storage
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Schedule a save; within the throttle window only the latest data is written
+     * @param {object} data - Field name -> value
+     */
+    save(data) {
+        this.pendingData = data;
+        if (this.timer) return;
+
+        this.timer = setTimeout(() => this.flush(), this.options.throttle);
+    }
+
+    /**
+     * Write the scheduled data now, e.g. before the page unloads
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.pendingData) return;
+
+        const data = this.pendingData;
+        this.pendingData = null;
+        this.write(JSON.stringify({ savedAt: Date.now(), data }));
+    }
+
+    /**
+     * Read the saved draft, removing it if it expired
+     * @returns {object|null} { savedAt, data }, or null if there is no usable draft
+     */
+    load() {
+        const storage = this.options.storage;
+        if (!storage) return null;
+
+        let draft;
+        try {
+            draft = JSON.parse(storage.getItem(this.key));
+        } catch {
+            draft = null;
+        }
+
+        if (!draft || typeof draft.savedAt !== 'number' || !draft.data) {
+            return null;
+        }
+        if (Date.now() - draft.savedAt > this.options.ttl) {
+            this.clear();
+            return null;
+        }
+        return draft;
+    }
+
+    /**
+     * Drop the saved draft and any scheduled save
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pendingData = null;
+
+        try {
+            if (this.options.storage) {
+                this.options.storage.removeItem(this.key);
+            }
+        } catch (error) {
+            console.warn(`Could not clear draft "${this.key}":`, error);
+        }
+    }
+
+    /**
+     * Store a serialized draft; a full or blocked storage only loses the draft
+     * @param {string} value - Serialized draft
+     */
+    write(value) {
+        try {
+            if (this.options.storage) {
+                this.options.storage.setItem(this.key, value);
+            }
+        } catch (error) {
+            console.warn(`Could not save draft "${this.key}":`, error);
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormDraft;
+}
@@ -4,15 +4,52 @@
  */
 
 class FormHandler {
-    constructor(formSelector, validator = null) {
+    /**
+     * @param {string} formSelector - CSS selector of the form
+     * @param {FormValidator} validator - Validator to use, a new one by default
+     * @param {object} options - Handler options
+     * @param {boolean} options.confirmWarnings - Ask before submitting a form that only has warnings
+     * @param {boolean} options.errorSummary - Show an aria-live list of errors at the top of the form
+     * @param {string|function|object} options.renderer - How field results are shown: 'inline',
+     *   'tooltip', 'summary', 'native', a callback or an ErrorRenderer; fields override it
+     *   with `renderer` in their config or data-renderer
+     * @param {string} options.trigger - When fields validate: 'input' (default), 'lazy', 'blur',
+     *   'change' or 'submit'; fields override it with `trigger` / data-trigger
+     * @param {number} options.debounce - Delay in ms before validating while typing;
+     *   fields override it with `debounce` / data-debounce
+     * @param {string} options.showErrors - 'always' (default) or 'touched': hide results of
+     *   fields the user has not left yet, until a submit
+     * @param {object} options.submit - Send valid submissions with submit(); see getSubmitOptions()
+     *   for endpoint, method, encoding, headers, retries, retryDelay and transport
+     * @param {boolean|object} options.draft - Save unsent data in localStorage: true, or
+     *   { key, ttl, throttle, prompt, storage }; see FormDraft. Password fields and fields
+     *   with data-sensitive or `sensitive: true` are never saved
+     */
+    constructor(formSelector, validator = null, options = {}) {
         this.form = document.querySelector(formSelector);
         this.validator = validator || new FormValidator();
+        this.options = { confirmWarnings: false, errorSummary: true, renderer: 'inline', trigger: 'input', debounce: 0, showErrors: 'always', ...options };
+        this.renderer = ErrorRenderer.create(this.options.renderer);
+        this.events = new EventEmitter();
         this.fields = new Map();
+        this.validationTimers = new Map();
         this.validationResults = {};
-        
+        this.warningsConfirmed = false;
+        this.errorSummary = null;
+        this.summaryErrors = new Map();
+        this.pendingSubmit = null;
+        this.submitRun = 0;
+        this.submitController = null;
+        this.submitButtons = [];
+        this.draft = null;
+        this.pendingDraft = null;
+
         if (!this.form) {
             throw new Error(`Form not found with selector: ${formSelector}`);
         }
+        if (!FormHandler.TRIGGERS.includes(this.options.trigger)) {
+            throw new Error(`Unknown trigger "${this.options.trigger}". Use one of: ${FormHandler.TRIGGERS.join(', ')}`);
+        }
 
         this.init();
     }
@@ -23,31 +60,188 @@ class FormHandler {
     init() {
         this.setupEventListeners();
         this.discoverFields();
+        this.validator.checkDependencyCycles();
+
+        if (this.options.errorSummary) {
+            this.createErrorSummary();
+        }
+        if (this.options.draft) {
+            this.setupDraft();
+        }
     }
 
     /**
-     * Discover form fields and their validation attributes
+     * Discover form fields and their validation attributes.
+     * Radios and checkboxes sharing a name become one logical field.
      */
     discoverFields() {
         const formElements = this.form.querySelectorAll('input, select, textarea');
+        const groups = new Map();
         
         formElements.forEach(element => {
             const fieldName = element.name || element.id;
             if (!fieldName) return;
 
-            const config = this.parseValidationAttributes(element);
-            this.fields.set(fieldName, {
-                element: element,
+            if (!groups.has(fieldName)) groups.set(fieldName, []);
+            groups.get(fieldName).push(element);
+        });
+
+        groups.forEach((elements, fieldName) => {
+            const kind = this.getFieldKind(elements);
+            const config = this.mergeConfigs(elements.map(element => this.parseValidationAttributes(element)));
+
+            if (kind === 'checkbox-group' || kind === 'radio-group') {
+                const legend = this.getGroupContainer(elements).querySelector('legend');
+                if (legend) {
+                    config.label = legend.textContent.replace('*', '').trim();
+                }
+            }
+
+            const fieldInfo = {
+                element: this.getDisplayElement(elements, kind),
+                elements: elements,
+                kind: kind,
+                mask: kind === 'single' ? this.createMask(elements[0]) : null,
+                meter: kind === 'single' ? this.createStrengthMeter(elements[0]) : null,
                 config: config
-            });
+            };
+            fieldInfo.state = this.createFieldState(fieldInfo);
+            this.fields.set(fieldName, fieldInfo);
 
-            // Configure validator if rules exist
-            if (config.rules && config.rules.length > 0) {
+            // Configure validator if rules or transforms exist
+            if ((config.rules && config.rules.length > 0) || config.transform) {
                 this.validator.configureField(fieldName, config);
             }
         });
     }
 
+    /**
+     * Attach the input mask declared with data-mask, if any
+     * @param {HTMLElement} element - Input element
+     * @returns {InputMask|null} Attached mask
+     */
+    createMask(element) {
+        if (!element.dataset.mask) return null;
+
+        if (typeof InputMask === 'undefined') {
+            console.warn(`data-mask on field "${element.name || element.id}" needs js/input-mask.js`);
+            return null;
+        }
+
+        let options = {};
+        if (element.dataset.maskOptions) {
+            try {
+                options = JSON.parse(element.dataset.maskOptions);
+            } catch {
+                console.warn(`Invalid data-mask-options JSON on field "${element.name || element.id}"`);
+            }
+        }
+
+        return new InputMask(element, element.dataset.mask, options).attach();
+    }
+
+    /**
+     * Classify the inputs of one logical field
+     * @param {array} elements - Elements sharing a name
+     * @returns {string} 'checkbox-group', 'radio-group', 'checkbox', 'select-multiple' or 'single'
+     */
+    getFieldKind(elements) {
+        const [first] = elements;
+        if (first.type === 'radio') return 'radio-group';
+        if (first.type === 'checkbox') return elements.length > 1 ? 'checkbox-group' : 'checkbox';
+        if (first.tagName === 'SELECT' && first.multiple) return 'select-multiple';
+        return 'single';
+    }
+
+    /**
+     * Find the element that wraps a group of radios or checkboxes
+     * @param {array} elements - Group elements
+     * @returns {HTMLElement} Enclosing fieldset, group container or parent
+     */
+    getGroupContainer(elements) {
+        const [first] = elements;
+        return first.closest('fieldset') || first.closest('.checkbox-group, .radio-group') || first.parentNode;
+    }
+
+    /**
+     * Pick the element that shows a field's validation state
+     * @param {array} elements - Field elements
+     * @param {string} kind - Field kind
+     * @returns {HTMLElement} The input itself, or the group container
+     */
+    getDisplayElement(elements, kind) {
+        if (kind === 'checkbox-group' || kind === 'radio-group') {
+            return this.getGroupContainer(elements);
+        }
+        return elements[0];
+    }
+
+    /**
+     * Combine the configs parsed from each element of a group
+     * @param {array} configs - Parsed configs
+     * @returns {object} Single config; repeated rules are kept once
+     */
+    mergeConfigs(configs) {
+        const merged = Object.assign({}, ...configs, { rules: [] });
+        const seen = new Set();
+
+        configs.forEach(config => {
+            config.rules.forEach(rule => {
+                const ruleName = typeof rule === 'string' ? rule : rule.name;
+                if (seen.has(ruleName)) return;
+                seen.add(ruleName);
+                merged.rules.push(rule);
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * Find the logical field an element belongs to
+     * @param {HTMLElement} element - Input or display element
+     * @returns {string|null} Field name
+     */
+    getFieldName(element) {
+        const fieldName = element.name || element.id;
+        if (fieldName && this.fields.has(fieldName)) return fieldName;
+
+        for (const [name, fieldInfo] of this.fields) {
+            if (fieldInfo.element === element) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Read the current value of a logical field
+     * @param {object} fieldInfo - Field info from this.fields
+     * @returns {any} String, boolean for a lone checkbox, or array for groups and multi-selects
+     */
+    getFieldValue(fieldInfo) {
+        const elements = fieldInfo.elements || [fieldInfo.element];
+        const [first] = elements;
+
+        // Masked inputs are validated without their formatting
+        if (fieldInfo.mask) {
+            return fieldInfo.mask.getUnmaskedValue();
+        }
+
+        switch (fieldInfo.kind || this.getFieldKind(elements)) {
+            case 'checkbox-group':
+                return elements.filter(element => element.checked).map(element => element.value);
+            case 'radio-group': {
+                const checked = elements.find(element => element.checked);
+                return checked ? checked.value : '';
+            }
+            case 'checkbox':
+                return first.checked;
+            case 'select-multiple':
+                return Array.from(first.selectedOptions).map(option => option.value);
+            default:
+                return first.value;
+        }
+    }
+
     /**
      * Parse validation attributes from HTML element
      * @param {HTMLElement} element - Form element
@@ -56,6 +250,46 @@ class FormHandler {
     parseValidationAttributes(element) {
         const config = { rules: [] };
 
+        // Label text for {label} in messages
+        const label = this.getFieldLabelText(element);
+        if (label) {
+            config.label = label;
+        }
+
+        // Explicit dependencies: data-depends-on="fieldA, fieldB"
+        if (element.dataset.dependsOn) {
+            config.dependsOn = element.dataset.dependsOn.split(',').map(name => name.trim()).filter(Boolean);
+        }
+
+        // When this field validates: data-trigger="blur" data-debounce="300"
+        if (element.dataset.trigger) {
+            config.trigger = element.dataset.trigger;
+        }
+        if (element.dataset.debounce && !isNaN(element.dataset.debounce)) {
+            config.debounce = parseInt(element.dataset.debounce);
+        }
+
+        // Error display for this field only: data-renderer="tooltip"
+        if (element.dataset.renderer) {
+            config.renderer = element.dataset.renderer;
+        }
+
+        // Normalization steps: data-transform="trim uppercase"
+        if (element.dataset.transform) {
+            config.transform = element.dataset.transform.split(/[\s,]+/).filter(Boolean);
+        }
+
+        // Field-level conditions: data-when / data-unless hold JSON conditions
+        ['when', 'unless'].forEach(key => {
+            if (element.dataset[key]) {
+                try {
+                    config[key] = JSON.parse(element.dataset[key]);
+                } catch {
+                    console.warn(`Invalid data-${key} JSON on field "${element.name || element.id}"`);
+                }
+            }
+        });
+
         // Required validation
         if (element.hasAttribute('required') || element.dataset.required === 'true') {
             config.rules.push('required');
@@ -77,6 +311,12 @@ class FormHandler {
         if (element.type === 'date') {
             config.rules.push('date');
         }
+        if (element.type === 'time') {
+            config.rules.push('time');
+        }
+        if (element.type === 'datetime-local') {
+            config.rules.push('dateTime');
+        }
 
         // Length validations
         const minlengthAttr = element.getAttribute('minlength');
@@ -120,18 +360,26 @@ class FormHandler {
         // Custom validation rules from data attributes
         Object.keys(element.dataset).forEach(key => {
             if (key.startsWith('validate')) {
-                const ruleName = key.replace('validate', '').toLowerCase();
+                // dataset turns data-validate-confirmpassword into "validateConfirmpassword";
+                // the validator resolves any casing back to the registered rule name
+                const attributeRule = key.replace('validate', '');
+                const ruleName = this.validator.resolveRuleName(attributeRule) || attributeRule;
                 const ruleValue = element.dataset[key];
-                
+
+                // The attribute replaces the same rule added by the input type,
+                // e.g. data-validate-phone on a type="tel" input
+                config.rules = config.rules.filter(existing => existing !== ruleName);
+
                 if (ruleValue === 'true' || ruleValue === '') {
                     config.rules.push(ruleName);
                 } else {
                     try {
-                        const params = JSON.parse(ruleValue);
-                        config.rules.push({
-                            name: ruleName,
-                            params: params
-                        });
+                        // "when"/"unless" inside the JSON belong to the rule, not its params
+                        const { when, unless, ...params } = JSON.parse(ruleValue);
+                        const rule = { name: ruleName, params: params };
+                        if (when) rule.when = when;
+                        if (unless) rule.unless = unless;
+                        config.rules.push(rule);
                     } catch {
                         config.rules.push({
                             name: ruleName,
@@ -145,6 +393,43 @@ class FormHandler {
         return config;
     }
 
+    /**
+     * Get the visible label text of a field
+     * @param {HTMLElement} element - Form element
+     * @returns {string|null} Label text without the required marker
+     */
+    getFieldLabelText(element) {
+        const label = (element.id && this.form.querySelector(`label[for="${element.id}"]`)) ||
+            element.closest('label');
+        if (!label) return null;
+
+        return label.textContent.replace('*', '').trim() || null;
+    }
+
+    /**
+     * Change the message locale and re-render visible validation messages
+     * @param {string} locale - Locale code, e.g. 'es'
+     */
+    setLocale(locale) {
+        this.validator.setLocale(locale);
+
+        this.fields.forEach(fieldInfo => {
+            const element = fieldInfo.element;
+            if (element.classList.contains('valid') || element.classList.contains('invalid')) {
+                this.validateFieldRealtime(element);
+            }
+        });
+
+        if (this.form.querySelector('.warning-confirmation') && this.validationResults.warnings) {
+            this.showWarningConfirmation(this.validationResults);
+        }
+        if (this.pendingDraft) {
+            this.showDraftPrompt(this.pendingDraft);
+        }
+        this.fields.forEach((fieldInfo, fieldName) => this.updateStrengthMeter(fieldName));
+        this.renderErrorSummary();
+    }
+
     /**
      * Setup event listeners for form interactions
      */
@@ -155,221 +440,1363 @@ class FormHandler {
             this.handleSubmit();
         });
 
-        // Real-time validation on input
-        this.form.addEventListener('input', (e) => {
-            if (e.target.matches('input, select, textarea')) {
-                this.validateFieldRealtime(e.target);
-            }
+        // Field events; each field's trigger decides whether they validate
+        ['input', 'change'].forEach(type => {
+            this.form.addEventListener(type, (e) => {
+                if (e.target.matches('input, select, textarea')) {
+                    this.handleFieldEvent(type, e.target);
+                }
+            });
         });
-
-        // Validation on blur
         this.form.addEventListener('blur', (e) => {
             if (e.target.matches('input, select, textarea')) {
-                this.validateFieldRealtime(e.target);
+                this.handleFieldEvent('blur', e.target);
             }
         }, true);
 
-        // Clear validation on focus
-        this.form.addEventListener('focus', (e) => {
-            if (e.target.matches('input, select, textarea')) {
-                this.clearFieldValidation(e.target);
-            }
-        }, true);
+        // Errors stay visible on focus so screen readers announce them
+        // through aria-describedby
     }
 
     /**
-     * Handle form submission
+     * React to an input, change or blur event of a field
+     * @param {string} type - Event type
+     * @param {HTMLElement} element - Element that fired it
      */
-    handleSubmit() {
-        const formData = this.getFormData();
-        const validationResult = this.validator.validateForm(formData);
-        
-        this.displayValidationResults(validationResult);
+    handleFieldEvent(type, element) {
+        const fieldName = this.getFieldName(element);
+        if (!fieldName) return;
 
-        if (validationResult.isValid) {
-            this.onFormValid(formData);
+        if (type === 'input') {
+            this.recordChange(fieldName);
+            this.updateStrengthMeter(fieldName);
+            this.revalidateDependents(fieldName);
+
+            // Changed data needs a fresh confirmation of its warnings
+            this.warningsConfirmed = false;
+            this.hideWarningConfirmation();
+        }
+
+        if (type === 'blur') {
+            this.markTouched(fieldName);
+        }
+
+        // While the restore prompt is open, saving would replace the draft it offers
+        if (this.draft && !this.pendingDraft && type !== 'blur') {
+            this.draft.save(this.getDraftData());
+        }
+
+        const { trigger, debounce } = this.getTriggerOptions(fieldName);
+        if (!this.shouldValidate(trigger, type, this.fields.get(fieldName))) return;
+
+        this.cancelScheduledValidation(fieldName);
+        if (type === 'input' && debounce > 0) {
+            this.validationTimers.set(fieldName, setTimeout(() => {
+                this.validationTimers.delete(fieldName);
+                this.validateFieldRealtime(element);
+            }, debounce));
         } else {
-            this.onFormInvalid(validationResult);
+            this.validateFieldRealtime(element);
         }
     }
 
     /**
-     * Get form data as object
-     * @returns {object} Form data
+     * Trigger and debounce of a field, from its config or the form options
+     * @param {string} fieldName - Field name
+     * @returns {object} { trigger, debounce }
      */
-    getFormData() {
-        const formData = {};
-        this.fields.forEach((fieldInfo, fieldName) => {
-            const element = fieldInfo.element;
-            
-            if (element.type === 'checkbox') {
-                formData[fieldName] = element.checked;
-            } else if (element.type === 'radio') {
-                if (element.checked) {
-                    formData[fieldName] = element.value;
-                }
-            } else {
-                formData[fieldName] = element.value;
-            }
-        });
-        return formData;
+    getTriggerOptions(fieldName) {
+        const fieldInfo = this.fields.get(fieldName);
+        const config = this.validator.fieldConfigs.get(fieldName) || (fieldInfo ? fieldInfo.config : {});
+        let trigger = config.trigger || this.options.trigger;
+
+        if (!FormHandler.TRIGGERS.includes(trigger)) {
+            console.warn(`Unknown trigger "${trigger}" on field "${fieldName}", using "${this.options.trigger}"`);
+            trigger = this.options.trigger;
+        }
+
+        return {
+            trigger: trigger,
+            debounce: config.debounce !== undefined ? config.debounce : this.options.debounce
+        };
     }
 
     /**
-     * Validate field in real-time
-     * @param {HTMLElement} element - Form element
+     * Decide whether an event validates a field under a trigger policy.
+     * 'lazy' rewards early and punishes late: errors appear on blur, and a field
+     * showing an error re-validates while typing so the fix is confirmed at once.
+     * @param {string} trigger - Trigger policy
+     * @param {string} type - 'input', 'change' or 'blur'
+     * @param {object} fieldInfo - Field info from this.fields
+     * @returns {boolean} True to validate now
      */
-    validateFieldRealtime(element) {
-        const fieldName = element.name || element.id;
-        if (!fieldName || !this.fields.has(fieldName)) return;
+    shouldValidate(trigger, type, fieldInfo) {
+        const showsError = fieldInfo.element.classList.contains('invalid');
+        // Choosing an option is a finished edit; don't wait for blur
+        const isChoice = fieldInfo.kind !== 'single' || fieldInfo.element.tagName === 'SELECT';
 
-        const formData = this.getFormData();
-        const result = this.validator.validateField(fieldName, element.value, formData);
-        
-        this.displayFieldValidation(element, result);
+        switch (trigger) {
+            case 'input':
+                return type === 'input' || type === 'blur';
+            case 'blur':
+                return type === 'blur' || (isChoice && type === 'change');
+            case 'change':
+                return type === 'change';
+            case 'submit':
+                return showsError && type === 'input';
+            default:
+                return type === 'blur' || (isChoice && type === 'change') || (showsError && type === 'input');
+        }
     }
 
     /**
-     * Display validation results for the entire form
-     * @param {object} validationResult - Validation result
+     * Drop a debounced validation that has not run yet
+     * @param {string} fieldName - Field name
      */
-    displayValidationResults(validationResult) {
-        this.validationResults = validationResult;
-
-        // Display field-specific errors
-        Object.entries(validationResult.fields).forEach(([fieldName, result]) => {
-            const fieldInfo = this.fields.get(fieldName);
-            if (fieldInfo) {
-                this.displayFieldValidation(fieldInfo.element, result);
-            }
-        });
+    cancelScheduledValidation(fieldName) {
+        clearTimeout(this.validationTimers.get(fieldName));
+        this.validationTimers.delete(fieldName);
     }
 
     /**
-     * Display validation result for a specific field
-     * @param {HTMLElement} element - Form element
-     * @param {object} result - Validation result
+     * Handle form submission
      */
-    displayFieldValidation(element, result) {
-        // Remove existing validation classes and messages
-        this.clearFieldValidation(element);
+    async handleSubmit() {
+        // Double-submit protection: ignore submits while a request is in flight
+        if (this.pendingSubmit) return;
 
-        if (result.isValid) {
-            element.classList.add('valid');
+        // The submit validates everything; debounced runs would only repeat it
+        this.validationTimers.forEach((timer, fieldName) => this.cancelScheduledValidation(fieldName));
+        this.markAllTouched();
+
+        const run = ++this.submitRun;
+        this.emit('submit:start', { formData: this.getFormData() });
+
+        let validationResult;
+        do {
+            validationResult = await this.validator.validateFormAsync(this.getFormData());
+
+            // A newer submit took over
+            if (run !== this.submitRun) return;
+
+            // Live validation of an edited field superseded this run: check the current values again
+        } while (validationResult.cancelled);
+
+        this.displayValidationResults(validationResult);
+        this.emit('form:validated', { result: validationResult });
+
+        if (validationResult.isValid) {
+            const needsConfirmation = this.options.confirmWarnings &&
+                validationResult.warnings.length > 0 &&
+                !this.warningsConfirmed;
+
+            if (needsConfirmation) {
+                this.showWarningConfirmation(validationResult);
+                return;
+            }
+
+            this.warningsConfirmed = false;
+            this.hideWarningConfirmation();
+            this.onFormValid(validationResult.data);
+
+            if (this.options.submit) {
+                await this.submit(validationResult.data).catch(() => {
+                    // Reported through the submit:error and submit:abort events
+                });
+            } else {
+                this.clearDraft();
+                this.emit('submit:success', { data: validationResult.data, result: validationResult });
+            }
         } else {
-            element.classList.add('invalid');
-            this.showFieldErrors(element, result.errors);
+            this.onFormInvalid(validationResult);
+            this.emit('submit:error', {
+                phase: 'validation',
+                data: validationResult.data,
+                result: validationResult,
+                error: null,
+                fieldErrors: this.groupErrorsByField(validationResult.errors)
+            });
         }
     }
 
     /**
-     * Clear validation styling and messages for a field
-     * @param {HTMLElement} element - Form element
+     * Messages of validation errors by field, shaped like server field errors
+     * @param {Array} errors - Errors of a validation result
+     * @returns {object} Field name -> messages
      */
-    clearFieldValidation(element) {
-        element.classList.remove('valid', 'invalid');
-        
-        // Remove existing error messages
-        const existingError = element.parentNode.querySelector('.error-message');
-        if (existingError) {
-            existingError.remove();
-        }
+    groupErrorsByField(errors) {
+        const fieldErrors = {};
+        errors.forEach(({ field, message }) => {
+            (fieldErrors[field] = fieldErrors[field] || []).push(message);
+        });
+        return fieldErrors;
     }
 
     /**
-     * Show error messages for a field
-     * @param {HTMLElement} element - Form element
-     * @param {array} errors - Array of error objects
+     * Submission settings: options.submit over the form's action, method and enctype
+     * @returns {object} { endpoint, method, encoding: 'json' | 'multipart', headers,
+     *   retries, retryDelay (ms, doubled on each retry), transport(request) }
      */
-    showFieldErrors(element, errors) {
-        if (errors.length === 0) return;
-
-        const errorContainer = document.createElement('div');
-        errorContainer.className = 'error-message';
-        
-        errors.forEach(error => {
-            const errorElement = document.createElement('div');
-            errorElement.className = 'error-item';
-            errorElement.textContent = error.message;
-            errorContainer.appendChild(errorElement);
-        });
-
-        // Insert error message after the field
-        element.parentNode.insertBefore(errorContainer, element.nextSibling);
+    getSubmitOptions() {
+        const enctype = this.form.getAttribute('enctype');
+        return {
+            endpoint: this.form.getAttribute('action') || (typeof window !== 'undefined' ? window.location.href : ''),
+            method: (this.form.getAttribute('method') || 'POST').toUpperCase(),
+            encoding: enctype === 'multipart/form-data' ? 'multipart' : 'json',
+            headers: {},
+            retries: 2,
+            retryDelay: 500,
+            transport: request => fetch(request.url, request),
+            ...(this.options.submit || {})
+        };
     }
 
     /**
-     * Add a new field dynamically
-     * @param {string} fieldName - Field name
-     * @param {HTMLElement} element - Form element
-     * @param {object} config - Validation configuration
+     * Send data to the server. Does not validate: the form's submit event validates
+     * first and calls this when options.submit is set.
+     * While the request is in flight the submit buttons are disabled and further
+     * calls return the same promise. Network errors and 408/429/5xx responses are
+     * retried with backoff; field errors in the response body, e.g.
+     * { errors: { nit: 'already registered' } }, are shown on their fields.
+     * @param {object} data - Data to send, by default the current transformed values
+     * @returns {Promise<any>} Parsed response body
      */
-    addField(fieldName, element, config = {}) {
-        this.fields.set(fieldName, {
-            element: element,
-            config: config
-        });
-
-        if (config.rules && config.rules.length > 0) {
-            this.validator.configureField(fieldName, config);
+    submit(data = this.validator.transformData(this.getFormData())) {
+        if (this.pendingSubmit) {
+            return this.pendingSubmit;
         }
 
-        // Add event listeners to new field
-        element.addEventListener('input', () => this.validateFieldRealtime(element));
-        element.addEventListener('blur', () => this.validateFieldRealtime(element));
-        element.addEventListener('focus', () => this.clearFieldValidation(element));
+        this.setSubmitting(true);
+        this.pendingSubmit = this.sendWithRetry(data)
+            .then(response => {
+                this.clearDraft();
+                this.emit('submit:success', { data, result: this.validationResults, response });
+                return response;
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    this.emit('submit:abort', { data });
+                } else {
+                    const fieldErrors = this.applyServerErrors(error.body);
+                    this.emit('submit:error', { phase: 'server', data, result: this.validationResults, error, fieldErrors });
+                }
+                throw error;
+            })
+            .finally(() => {
+                this.pendingSubmit = null;
+                this.submitController = null;
+                this.setSubmitting(false);
+            });
+
+        return this.pendingSubmit;
     }
 
     /**
-     * Remove a field
-     * @param {string} fieldName - Field name
+     * Cancel the submission in flight, if any
      */
-    removeField(fieldName) {
-        const fieldInfo = this.fields.get(fieldName);
-        if (fieldInfo) {
-            this.clearFieldValidation(fieldInfo.element);
-            this.fields.delete(fieldName);
-            this.validator.resetField(fieldName);
+    abortSubmit() {
+        if (this.submitController) {
+            this.submitController.abort();
         }
     }
 
     /**
-     * Get validation state
-     * @returns {object} Current validation state
+     * Send a request, retrying transient failures
+     * @param {object} data - Data to send
+     * @returns {Promise<any>} Parsed response body
      */
-    getValidationState() {
-        return {
-            isValid: this.validationResults.isValid || false,
-            results: this.validationResults,
-            formData: this.getFormData()
+    async sendWithRetry(data) {
+        const options = this.getSubmitOptions();
+        const controller = new AbortController();
+        this.submitController = controller;
+
+        const request = {
+            url: options.endpoint,
+            method: options.method,
+            headers: options.encoding === 'json'
+                ? { 'Content-Type': 'application/json', 'Accept': 'application/json', ...options.headers }
+                : { ...options.headers },
+            body: this.encodeSubmitData(data, options.encoding),
+            signal: controller.signal
         };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.abortable(options.transport(request), controller.signal);
+
+                const body = await this.readResponseBody(response);
+                if (response.ok) {
+                    return body;
+                }
+
+                const error = new Error(`Request to ${request.url} failed with status ${response.status}`);
+                error.status = response.status;
+                error.body = body;
+                throw error;
+            } catch (error) {
+                if (attempt >= options.retries || !this.isRetryableError(error)) {
+                    throw error;
+                }
+            }
+
+            await this.wait(options.retryDelay * 2 ** attempt, controller.signal);
+        }
     }
 
     /**
-     * Override this method to handle valid form submission
-     * @param {object} formData - Valid form data
+     * Whether a failed attempt may succeed if repeated
+     * @param {Error} error - Transport error, or an error with the response status
+     * @returns {boolean} True for network errors and 408, 429 and 5xx responses
      */
-    onFormValid(formData) {
-        console.log('Form is valid:', formData);
-        // Override this method in your implementation
+    isRetryableError(error) {
+        if (error.name === 'AbortError') return false;
+        if (error.status === undefined) return true;
+        return error.status === 408 || error.status === 429 || error.status >= 500;
     }
 
     /**
-     * Override this method to handle invalid form submission
-     * @param {object} validationResult - Validation result
+     * Encode data for the request body
+     * @param {object} data - Data to send
+     * @param {string} encoding - 'json' or 'multipart'
+     * @returns {string|FormData} Request body
      */
-    onFormInvalid(validationResult) {
-        console.log('Form is invalid:', validationResult);
-        // Override this method in your implementation
+    encodeSubmitData(data, encoding) {
+        if (encoding === 'json') {
+            return JSON.stringify(data);
+        }
+        if (encoding !== 'multipart') {
+            throw new Error(`Unknown submit encoding "${encoding}". Use 'json' or 'multipart'`);
+        }
+
+        // fetch sets the multipart boundary header itself
+        const body = new FormData();
+        Object.entries(data).forEach(([name, value]) => {
+            const fieldInfo = this.fields.get(name);
+            const values = fieldInfo && fieldInfo.element.type === 'file'
+                ? Array.from(fieldInfo.element.files)
+                : (Array.isArray(value) ? value : [value]);
+
+            values
+                .filter(item => item !== null && item !== undefined)
+                .forEach(item => body.append(name, item));
+        });
+        return body;
     }
 
     /**
-     * Manually trigger validation for all fields
+     * Parse a response body as JSON, falling back to text
+     * @param {Response} response - fetch Response, or an object with text()
+     * @returns {Promise<any>} Body, or null if empty
      */
-    validateAll() {
-        const formData = this.getFormData();
-        const validationResult = this.validator.validateForm(formData);
+    async readResponseBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Show server-side field errors on their fields
+     * @param {object} body - Response body; its `errors` maps field names to a message or messages
+     * @returns {object} Field name -> messages, including fields not in the form
+     */
+    applyServerErrors(body) {
+        const errors = body && typeof body === 'object' && body.errors;
+        if (!errors || typeof errors !== 'object') return {};
+
+        const fieldErrors = {};
+        Object.entries(errors).forEach(([fieldName, messages]) => {
+            fieldErrors[fieldName] = Array.isArray(messages) ? messages : [messages];
+
+            const fieldInfo = this.fields.get(fieldName);
+            if (!fieldInfo) {
+                console.warn(`Server error for unknown field "${fieldName}":`, messages);
+                return;
+            }
+
+            const result = {
+                isValid: false,
+                errors: fieldErrors[fieldName].map(message => ({
+                    field: fieldName,
+                    rule: 'server',
+                    message: String(message),
+                    severity: 'error'
+                })),
+                warnings: []
+            };
+            this.summaryErrors.set(fieldName, result.errors);
+            this.displayFieldValidation(fieldInfo.element, result);
+        });
+
+        this.validationResults = { ...this.validationResults, isValid: false };
+        this.renderErrorSummary();
+        return fieldErrors;
+    }
+
+    /**
+     * Disable the submit buttons while a request is in flight
+     * @param {boolean} submitting - True when the request starts
+     */
+    setSubmitting(submitting) {
+        if (submitting) {
+            // Leave buttons that were already disabled alone
+            this.submitButtons = Array.from(this.form.querySelectorAll('button[type="submit"], button:not([type]), input[type="submit"]'))
+                .filter(button => !button.disabled);
+            this.submitButtons.forEach(button => {
+                button.disabled = true;
+                button.classList.add('loading');
+            });
+            this.form.setAttribute('aria-busy', 'true');
+        } else {
+            this.submitButtons.forEach(button => {
+                button.disabled = false;
+                button.classList.remove('loading');
+            });
+            this.submitButtons = [];
+            this.form.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Wait before a retry, stopping early if the submission is aborted
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Submission signal
+     * @returns {Promise<void>} Resolves after the delay
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            // The abort event does not fire again for a signal aborted earlier
+            if (signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Settle with a promise, or reject when the submission is aborted first,
+     * for transports that ignore the signal
+     * @param {Promise} promise - Pending transport call
+     * @param {AbortSignal} signal - Submission signal
+     * @returns {Promise<any>} The promise's value
+     */
+    abortable(promise, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            const onAbort = () => reject(this.createAbortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(promise)
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Error reported when a submission is aborted
+     * @returns {Error} Error named 'AbortError', like fetch's
+     */
+    createAbortError() {
+        const error = new Error('Submission aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Start saving drafts and offer to restore a saved one
+     */
+    setupDraft() {
+        if (typeof FormDraft === 'undefined') {
+            console.warn('options.draft needs js/form-draft.js');
+            return;
+        }
+
+        const options = this.options.draft === true ? {} : this.options.draft;
+        const key = options.key || `form-draft:${this.form.id || this.form.getAttribute('name') || window.location.pathname}`;
+        this.draft = new FormDraft(key, options);
+
+        // Throttled saves would lose the last edits on reload
+        window.addEventListener('pagehide', () => this.draft.flush());
+
+        const saved = this.draft.load();
+        if (!saved) return;
+
+        if (options.prompt === false) {
+            this.restoreDraft(saved.data);
+        } else {
+            this.showDraftPrompt(saved);
+        }
+    }
+
+    /**
+     * Values worth saving in a draft: everything except sensitive fields
+     * @returns {object} Field name -> value
+     */
+    getDraftData() {
+        const data = {};
+        this.fields.forEach((fieldInfo, fieldName) => {
+            if (!this.isSensitiveField(fieldName)) {
+                data[fieldName] = this.getFieldValue(fieldInfo);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Whether a field must stay out of drafts: passwords, files, card data,
+     * and fields marked data-sensitive or configured with `sensitive: true`
+     * @param {string} fieldName - Field name
+     * @returns {boolean} True if sensitive
+     */
+    isSensitiveField(fieldName) {
+        const fieldInfo = this.fields.get(fieldName);
+        const config = this.validator.fieldConfigs.get(fieldName) || fieldInfo.config || {};
+        if (config.sensitive) return true;
+
+        return (fieldInfo.elements || [fieldInfo.element]).some(element =>
+            element.type === 'password' ||
+            element.type === 'file' ||
+            /^cc-/.test(element.getAttribute('autocomplete') || '') ||
+            (element.hasAttribute('data-sensitive') && element.getAttribute('data-sensitive') !== 'false')
+        );
+    }
+
+    /**
+     * Put draft values back into the form; the restored fields count as changed
+     * @param {object} data - Field name -> value
+     */
+    restoreDraft(data) {
+        Object.entries(data).forEach(([fieldName, value]) => {
+            if (this.fields.has(fieldName) && !this.isSensitiveField(fieldName)) {
+                this.setFieldValue(this.fields.get(fieldName), value);
+                this.recordChange(fieldName);
+            }
+        });
+        this.hideDraftPrompt();
+        this.emit('draft:restored', { data });
+    }
+
+    /**
+     * Forget the saved draft, if drafts are enabled
+     */
+    clearDraft() {
+        if (this.draft) {
+            this.draft.clear();
+        }
+        this.hideDraftPrompt();
+    }
+
+    /**
+     * Set a field's value, the inverse of getFieldValue()
+     * @param {object} fieldInfo - Field info
+     * @param {any} value - Value as returned by getFieldValue()
+     */
+    setFieldValue(fieldInfo, value) {
+        const elements = fieldInfo.elements || [fieldInfo.element];
+        const [first] = elements;
+
+        if (fieldInfo.mask) {
+            fieldInfo.mask.setValue(value);
+            return;
+        }
+
+        switch (fieldInfo.kind || this.getFieldKind(elements)) {
+            case 'checkbox-group':
+                elements.forEach(element => {
+                    element.checked = Array.isArray(value) && value.includes(element.value);
+                });
+                break;
+            case 'radio-group':
+                elements.forEach(element => {
+                    element.checked = element.value === value;
+                });
+                break;
+            case 'checkbox':
+                first.checked = Boolean(value);
+                break;
+            case 'select-multiple':
+                Array.from(first.options).forEach(option => {
+                    option.selected = Array.isArray(value) && value.includes(option.value);
+                });
+                break;
+            default:
+                first.value = value;
+        }
+    }
+
+    /**
+     * Offer to restore a saved draft. Drafts are not saved until the user
+     * restores or discards it.
+     * @param {object} saved - Draft as returned by FormDraft#load(): { data, savedAt }
+     */
+    showDraftPrompt(saved) {
+        this.hideDraftPrompt();
+        this.pendingDraft = saved;
+        const { savedAt } = saved;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'draft-prompt';
+        prompt.setAttribute('role', 'status');
+
+        const message = document.createElement('p');
+        message.textContent = this.validator.translate('form.draftFound', {
+            date: new Date(savedAt).toLocaleString(this.validator.getLocale())
+        });
+        prompt.appendChild(message);
+
+        const restore = document.createElement('button');
+        restore.type = 'button';
+        restore.className = 'btn btn-primary';
+        restore.textContent = this.validator.translate('form.draftRestore');
+        restore.addEventListener('click', () => this.restoreDraft(saved.data));
+        prompt.appendChild(restore);
+
+        const discard = document.createElement('button');
+        discard.type = 'button';
+        discard.className = 'btn btn-outline';
+        discard.textContent = this.validator.translate('form.draftDiscard');
+        discard.addEventListener('click', () => this.clearDraft());
+        prompt.appendChild(discard);
+
+        // After the error summary, before the first field
+        const anchor = this.errorSummary ? this.errorSummary.nextSibling : this.form.firstChild;
+        this.form.insertBefore(prompt, anchor);
+    }
+
+    /**
+     * Remove the restore-draft prompt, if shown, and resume saving drafts
+     */
+    hideDraftPrompt() {
+        this.pendingDraft = null;
+        const prompt = this.form.querySelector('.draft-prompt');
+        if (prompt) {
+            prompt.remove();
+        }
+    }
+
+    /**
+     * Add the live strength meter requested with data-strength-meter below a
+     * password input. It scores with the field's password rule params.
+     * @param {HTMLElement} element - Input element
+     * @returns {HTMLElement|null} Meter element
+     */
+    createStrengthMeter(element) {
+        if (element.dataset.strengthMeter === undefined || element.dataset.strengthMeter === 'false') {
+            return null;
+        }
+        if (typeof PasswordPolicy === 'undefined') {
+            console.warn(`data-strength-meter on field "${element.name || element.id}" needs js/password-policy.js`);
+            return null;
+        }
+
+        const meter = document.createElement('div');
+        meter.className = 'strength-meter';
+        meter.hidden = true;
+        meter.innerHTML = `
+            <div class="strength-meter-bar"><span></span></div>
+            <span class="strength-meter-label" aria-live="polite"></span>
+            <ul class="strength-meter-requirements"></ul>
+            <p class="strength-meter-feedback"></p>
+        `;
+        element.parentNode.appendChild(meter);
+        return meter;
+    }
+
+    /**
+     * Re-score a field's strength meter: strength label, checklist of the
+     * composition requirements and a tip for the first other problem
+     * @param {string} fieldName - Field name
+     */
+    updateStrengthMeter(fieldName) {
+        const fieldInfo = this.fields.get(fieldName);
+        if (!fieldInfo || !fieldInfo.meter || typeof PasswordPolicy === 'undefined') return;
+
+        const meter = fieldInfo.meter;
+        const value = this.getFieldValue(fieldInfo);
+        meter.hidden = !value;
+        if (!value) return;
+
+        const config = this.validator.fieldConfigs.get(fieldName);
+        const rule = config && config.rules
+            .map(entry => this.validator.normalizeRule(entry))
+            .find(entry => entry.name === 'password');
+        const formData = this.validator.transformData(this.getFormData());
+        const { params } = PasswordPolicy.evaluate(value, rule ? rule.params : {}, formData);
+        if (params.field) {
+            // Messages name the other field by its label
+            const similar = this.validator.fieldConfigs.get(params.field);
+            params.field = (similar && similar.label) || params.field;
+        }
+
+        const strength = this.validator.translate(`form.strength.${params.score}`);
+        meter.dataset.score = String(params.score);
+        meter.querySelector('.strength-meter-label').textContent = this.validator.translate('form.strength', { strength });
+
+        const list = meter.querySelector('.strength-meter-requirements');
+        list.innerHTML = '';
+        params.requirements.forEach(requirement => {
+            const item = document.createElement('li');
+            item.className = params.failed.includes(requirement) ? 'unmet' : 'met';
+            item.textContent = this.validator.translate(`password.${requirement}`, params);
+            list.appendChild(item);
+        });
+
+        // A failed non-checklist requirement, else how to raise the score
+        const problem = params.failed.find(requirement => !params.requirements.includes(requirement) && requirement !== 'score');
+        let feedback = '';
+        if (problem) {
+            feedback = this.validator.translate(`password.${problem}`, params);
+        } else if (params.patterns.length > 0) {
+            feedback = this.validator.translate(`form.strength.${params.patterns[0]}`);
+        } else if (params.failed.includes('score')) {
+            feedback = this.validator.translate('password.score');
+        }
+        meter.querySelector('.strength-meter-feedback').textContent = feedback;
+    }
+
+    /**
+     * Ask the user to confirm a submission that only has warnings
+     * @param {object} validationResult - Validation result with warnings
+     */
+    showWarningConfirmation(validationResult) {
+        this.hideWarningConfirmation();
+
+        const confirmation = document.createElement('div');
+        confirmation.className = 'warning-confirmation';
+
+        const message = document.createElement('p');
+        message.textContent = this.validator.translate('form.warningConfirm');
+        confirmation.appendChild(message);
+
+        const list = document.createElement('ul');
+        validationResult.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning.message;
+            list.appendChild(item);
+        });
+        confirmation.appendChild(list);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.textContent = this.validator.translate('form.submitAnyway');
+        button.addEventListener('click', () => {
+            this.warningsConfirmed = true;
+            this.handleSubmit();
+        });
+        confirmation.appendChild(button);
+
+        const actions = this.form.querySelector('.form-actions');
+        this.form.insertBefore(confirmation, actions || null);
+    }
+
+    /**
+     * Remove the warning confirmation prompt, if shown
+     */
+    hideWarningConfirmation() {
+        const confirmation = this.form.querySelector('.warning-confirmation');
+        if (confirmation) {
+            confirmation.remove();
+        }
+    }
+
+    /**
+     * Get form data as object
+     * @returns {object} Form data
+     */
+    getFormData() {
+        const formData = {};
+        this.fields.forEach((fieldInfo, fieldName) => {
+            formData[fieldName] = this.getFieldValue(fieldInfo);
+        });
+        return formData;
+    }
+
+    /**
+     * Validate field in real-time
+     * @param {HTMLElement} element - Form element
+     * @returns {Promise<object>|undefined} Validation result once async rules settle
+     */
+    validateFieldRealtime(element) {
+        const fieldName = this.getFieldName(element);
+        if (!fieldName) return;
+
+        // Group members report on the group's display element
+        const target = this.fields.get(fieldName).element;
+        const formData = this.getFormData();
+        const validation = this.validator.validateFieldAsync(fieldName, formData[fieldName], formData);
+
+        if (this.validator.isFieldPending(fieldName)) {
+            this.showFieldPending(target);
+        }
+
+        return validation.then(result => {
+            // Stale run: the user kept typing and a newer check is in flight
+            if (!result.cancelled) {
+                this.displayFieldValidation(target, result);
+                this.emit('field:validated', { fieldName, result });
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Re-validate every field that depends on a changed field, following the
+     * validator's dependency graph (matchField, group, field references,
+     * dependsOn and when/unless conditions). Only fields already showing a
+     * validation state are refreshed, so untouched fields do not light up with errors.
+     * @param {string} fieldName - Field that changed
+     */
+    revalidateDependents(fieldName) {
+        this.validator.getDependentFields(fieldName).forEach(dependentName => {
+            const fieldInfo = this.fields.get(dependentName);
+            if (!fieldInfo) return;
+
+            const element = fieldInfo.element;
+            if (element.classList.contains('valid') || element.classList.contains('invalid')) {
+                this.validateFieldRealtime(element);
+            }
+        });
+    }
+
+    /**
+     * Show the "checking…" indicator while async rules run
+     * @param {HTMLElement} element - Form element
+     */
+    showFieldPending(element) {
+        this.clearFieldValidation(element);
+
+        element.classList.add('pending');
+        element.setAttribute('aria-busy', 'true');
+
+        const pendingElement = document.createElement('div');
+        pendingElement.className = 'pending-message';
+        pendingElement.textContent = this.validator.translate('form.pending');
+        element.parentNode.insertBefore(pendingElement, element.nextSibling);
+    }
+
+    /**
+     * Display validation results for the entire form
+     * @param {object} validationResult - Validation result
+     */
+    displayValidationResults(validationResult) {
+        this.validationResults = validationResult;
+        this.summaryErrors = new Map();
+
+        // Display field-specific errors
+        Object.entries(validationResult.fields).forEach(([fieldName, result]) => {
+            const fieldInfo = this.fields.get(fieldName);
+            if (fieldInfo) {
+                this.displayFieldValidation(fieldInfo.element, result);
+            }
+            if (!result.isValid && result.errors.length > 0) {
+                this.summaryErrors.set(fieldName, result.errors);
+            }
+        });
+
+        this.renderErrorSummary();
+    }
+
+    /**
+     * Display validation result for a specific field
+     * @param {HTMLElement} element - Form element
+     * @param {object} result - Validation result
+     */
+    displayFieldValidation(element, result) {
+        // Remove existing validation classes and messages
+        this.clearFieldValidation(element);
+
+        const fieldName = this.getFieldName(element);
+        if (!this.shouldShowResult(fieldName)) return;
+
+        if (result.isValid) {
+            element.classList.add('valid');
+        } else {
+            element.classList.add('invalid');
+            this.getAriaTargets(element).forEach(input => input.setAttribute('aria-invalid', 'true'));
+        }
+
+        // Warnings never block submission but are still shown
+        if (result.warnings && result.warnings.length > 0) {
+            element.classList.add('has-warning');
+        }
+
+        this.getRenderer(element).render(element, result, this.getRenderContext(element));
+
+        // Keep entries of a shown summary in sync; new fields only join it on submit
+        if (this.summaryErrors.has(fieldName)) {
+            if (result.isValid) {
+                this.summaryErrors.delete(fieldName);
+            } else {
+                this.summaryErrors.set(fieldName, result.errors);
+            }
+            this.renderErrorSummary();
+        }
+    }
+
+    /**
+     * Inputs that carry aria-invalid: every radio or checkbox of a group
+     * @param {HTMLElement} element - Field or group display element
+     * @returns {array} Elements
+     */
+    getAriaTargets(element) {
+        const fieldName = this.getFieldName(element);
+        const fieldInfo = fieldName ? this.fields.get(fieldName) : null;
+        return fieldInfo && fieldInfo.elements ? fieldInfo.elements : [element];
+    }
+
+    /**
+     * Stable id of a field's error or warning message, used by aria-describedby
+     * @param {HTMLElement} element - Field or group display element
+     * @param {string} type - 'error' or 'warning'
+     * @returns {string|null} Element id
+     */
+    getMessageId(element, type) {
+        const fieldName = this.getFieldName(element) || element.name || element.id;
+        if (!fieldName) return null;
+
+        const prefix = this.form.id ? `${this.form.id}-` : '';
+        return `${prefix}${fieldName}-${type}`;
+    }
+
+    /**
+     * Renderer for a field: the `renderer` of its config, else the form's
+     * @param {HTMLElement} element - Field or group display element
+     * @returns {ErrorRenderer} Renderer
+     */
+    getRenderer(element) {
+        const fieldName = this.getFieldName(element);
+        const fieldInfo = fieldName ? this.fields.get(fieldName) : null;
+        if (!fieldInfo) return this.renderer;
+
+        // The validator's config wins, so configureField() can set it too
+        const config = this.validator.fieldConfigs.get(fieldName) || fieldInfo.config;
+        if (!config.renderer) return this.renderer;
+
+        if (fieldInfo.rendererSpec !== config.renderer) {
+            fieldInfo.renderer = ErrorRenderer.create(config.renderer);
+            fieldInfo.rendererSpec = config.renderer;
+        }
+        return fieldInfo.renderer;
+    }
+
+    /**
+     * Information passed to renderers about the field being rendered
+     * @param {HTMLElement} element - Field or group display element
+     * @returns {object} { fieldName, inputs, messageId(type) }
+     */
+    getRenderContext(element) {
+        return {
+            fieldName: this.getFieldName(element),
+            inputs: this.getAriaTargets(element),
+            messageId: type => this.getMessageId(element, type)
+        };
+    }
+
+    /**
+     * Clear validation styling and messages for a field
+     * @param {HTMLElement} element - Form element
+     */
+    clearFieldValidation(element) {
+        element.classList.remove('valid', 'invalid', 'pending', 'has-warning');
+        element.removeAttribute('aria-busy');
+        this.getAriaTargets(element).forEach(input => input.removeAttribute('aria-invalid'));
+        this.getRenderer(element).clear(element, this.getRenderContext(element));
+        
+        // Remove the pending message
+        const existingPending = element.parentNode.querySelector('.pending-message');
+        if (existingPending) {
+            existingPending.remove();
+        }
+    }
+
+    /**
+     * Create the empty aria-live region that lists errors after a submit.
+     * It exists from the start so assistive technology announces later changes.
+     */
+    createErrorSummary() {
+        this.errorSummary = document.createElement('div');
+        this.errorSummary.className = 'error-summary';
+        this.errorSummary.setAttribute('aria-live', 'assertive');
+        this.errorSummary.setAttribute('tabindex', '-1');
+        if (this.form.id) {
+            this.errorSummary.id = `${this.form.id}-error-summary`;
+        }
+        this.form.insertBefore(this.errorSummary, this.form.firstChild);
+    }
+
+    /**
+     * Fill the error summary with a link per invalid field, or empty it
+     */
+    renderErrorSummary() {
+        if (!this.errorSummary) return;
+
+        this.errorSummary.innerHTML = '';
+        if (this.summaryErrors.size === 0) return;
+
+        const count = Array.from(this.summaryErrors.values()).reduce((total, errors) => total + errors.length, 0);
+        const title = document.createElement('p');
+        title.className = 'error-summary-title';
+        title.textContent = this.validator.translate('form.errorSummary', { count });
+        this.errorSummary.appendChild(title);
+
+        const list = document.createElement('ul');
+        this.summaryErrors.forEach((errors, fieldName) => {
+            const fieldInfo = this.fields.get(fieldName);
+            if (!fieldInfo) return;
+
+            const target = this.getFocusTarget(fieldInfo);
+            const label = fieldInfo.config.label || fieldName;
+
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = target.id ? `#${target.id}` : '#';
+                link.textContent = `${label}: ${error.message}`;
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    target.focus();
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+        });
+        this.errorSummary.appendChild(list);
+    }
+
+    /**
+     * Input to focus for a field: the checked option or first input of a group
+     * @param {object} fieldInfo - Field info from this.fields
+     * @returns {HTMLElement} Focusable element
+     */
+    getFocusTarget(fieldInfo) {
+        const elements = fieldInfo.elements || [fieldInfo.element];
+        return elements.find(element => element.checked) || elements[0];
+    }
+
+    /**
+     * Add a new field dynamically
+     * @param {string} fieldName - Field name
+     * @param {HTMLElement} element - Form element
+     * @param {object} config - Validation configuration
+     */
+    addField(fieldName, element, config = {}) {
+        const kind = this.getFieldKind([element]);
+        const fieldInfo = {
+            element: element,
+            elements: [element],
+            kind: kind,
+            mask: kind === 'single' ? this.createMask(element) : null,
+            meter: kind === 'single' ? this.createStrengthMeter(element) : null,
+            config: config
+        };
+        fieldInfo.state = this.createFieldState(fieldInfo);
+        this.fields.set(fieldName, fieldInfo);
+
+        if ((config.rules && config.rules.length > 0) || config.transform) {
+            this.validator.configureField(fieldName, config);
+            this.validator.checkDependencyCycles();
+        }
+
+        // Fields inside the form are covered by its delegated listeners
+        if (!this.form.contains(element)) {
+            ['input', 'change', 'blur'].forEach(type => {
+                element.addEventListener(type, () => this.handleFieldEvent(type, element));
+            });
+        }
+
+        this.emit('field:added', { fieldName, element });
+    }
+
+    /**
+     * Remove a field
+     * @param {string} fieldName - Field name
+     */
+    removeField(fieldName) {
+        const fieldInfo = this.fields.get(fieldName);
+        if (fieldInfo) {
+            if (fieldInfo.mask) {
+                fieldInfo.mask.detach();
+            }
+            if (fieldInfo.meter) {
+                fieldInfo.meter.remove();
+            }
+            this.cancelScheduledValidation(fieldName);
+            this.clearFieldValidation(fieldInfo.element);
+            this.fields.delete(fieldName);
+            this.validator.resetField(fieldName);
+            if (this.summaryErrors.delete(fieldName)) {
+                this.renderErrorSummary();
+            }
+            this.emit('field:removed', { fieldName });
+        }
+    }
+
+    /**
+     * Get validation state
+     * @returns {object} Current validation state
+     */
+    getValidationState() {
+        return {
+            isValid: this.validationResults.isValid || false,
+            results: this.validationResults,
+            formData: this.getFormData(),
+            ...this.getFormState()
+        };
+    }
+
+    /**
+     * Interaction state for a new field, with its current value as the initial one
+     * @param {object} fieldInfo - Field info from this.fields
+     * @returns {object} { touched, dirty, pristine, initialValue, changeCount }
+     */
+    createFieldState(fieldInfo) {
+        return {
+            touched: false,
+            dirty: false,
+            pristine: true,
+            initialValue: this.getFieldValue(fieldInfo),
+            changeCount: 0
+        };
+    }
+
+    /**
+     * Interaction state of a field.
+     * touched: the user has left it; pristine: never edited; dirty: value differs from the initial one.
+     * @param {string} fieldName - Field name
+     * @returns {object|null} Copy of the state, or null for unknown fields
+     */
+    getFieldState(fieldName) {
+        const fieldInfo = this.fields.get(fieldName);
+        return fieldInfo ? { ...fieldInfo.state } : null;
+    }
+
+    /**
+     * Form-level interaction state
+     * @returns {object} { touched, dirty, pristine, changeCount, touchedFields, dirtyFields, fields }
+     */
+    getFormState() {
+        const fields = {};
+        this.fields.forEach((fieldInfo, fieldName) => {
+            fields[fieldName] = { ...fieldInfo.state };
+        });
+        const states = Object.values(fields);
+
+        return {
+            touched: states.some(state => state.touched),
+            dirty: states.some(state => state.dirty),
+            pristine: states.every(state => state.pristine),
+            changeCount: states.reduce((total, state) => total + state.changeCount, 0),
+            touchedFields: Object.keys(fields).filter(fieldName => fields[fieldName].touched),
+            dirtyFields: Object.keys(fields).filter(fieldName => fields[fieldName].dirty),
+            fields: fields
+        };
+    }
+
+    /**
+     * Count an edit and recompute dirty/pristine
+     * @param {string} fieldName - Field name
+     */
+    recordChange(fieldName) {
+        const fieldInfo = this.fields.get(fieldName);
+        if (!fieldInfo) return;
+
+        const value = this.getFieldValue(fieldInfo);
+        this.updateFieldState(fieldName, {
+            changeCount: fieldInfo.state.changeCount + 1,
+            pristine: false,
+            dirty: !this.valuesEqual(value, fieldInfo.state.initialValue)
+        });
+    }
+
+    /**
+     * Mark a field as visited
+     * @param {string} fieldName - Field name
+     */
+    markTouched(fieldName) {
+        if (this.fields.has(fieldName)) {
+            this.updateFieldState(fieldName, { touched: true });
+        }
+    }
+
+    /**
+     * Mark every field as visited, as a submit does
+     */
+    markAllTouched() {
+        this.fields.forEach((fieldInfo, fieldName) => this.markTouched(fieldName));
+    }
+
+    /**
+     * Take the current values as the new initial ones (e.g. after saving)
+     * and clear touched, dirty and change counts
+     */
+    markAsPristine() {
+        this.fields.forEach((fieldInfo, fieldName) => {
+            this.updateFieldState(fieldName, this.createFieldState(fieldInfo));
+        });
+    }
+
+    /**
+     * Apply state changes, calling onFieldStateChange and emitting
+     * 'field:state' when a flag flips
+     * @param {string} fieldName - Field name
+     * @param {object} changes - New state values
+     */
+    updateFieldState(fieldName, changes) {
+        const fieldInfo = this.fields.get(fieldName);
+        const previous = fieldInfo.state;
+        fieldInfo.state = { ...previous, ...changes };
+
+        const flipped = ['touched', 'dirty', 'pristine'].some(flag => previous[flag] !== fieldInfo.state[flag]);
+        if (flipped) {
+            this.onFieldStateChange(fieldName, { ...fieldInfo.state }, previous);
+            this.emit('field:state', { fieldName, state: { ...fieldInfo.state }, previous });
+        }
+    }
+
+    /**
+     * Compare field values, including arrays of checked options
+     * @param {any} a - Value
+     * @param {any} b - Value
+     * @returns {boolean} True if equal
+     */
+    valuesEqual(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => item === b[index]);
+        }
+        return a === b;
+    }
+
+    /**
+     * Whether a field's result may be displayed under options.showErrors
+     * @param {string} fieldName - Field name
+     * @returns {boolean} True to display
+     */
+    shouldShowResult(fieldName) {
+        if (this.options.showErrors !== 'touched') return true;
+
+        const fieldInfo = this.fields.get(fieldName);
+        return !fieldInfo || fieldInfo.state.touched;
+    }
+
+    /**
+     * Subscribe to a form event:
+     * - 'field:validated' { fieldName, result } after a field's live validation
+     * - 'form:validated' { result } after the whole form is validated
+     * - 'submit:start' { formData } when a submit begins
+     * - 'submit:success' { data, result } when a submit passes validation, with
+     *   `response` when options.submit sends it to the server
+     * - 'submit:error' { phase, data, result, error, fieldErrors } when a submit
+     *   fails validation (phase 'validation', error null) or submit() fails
+     *   (phase 'server'); fieldErrors maps field names to messages
+     * - 'submit:abort' { data } when abortSubmit() cancels submit()
+     * - 'field:added' { fieldName, element } / 'field:removed' { fieldName }
+     * - 'field:state' { fieldName, state, previous } when touched/dirty/pristine flips
+     * - 'draft:restored' { data } after a saved draft is put back into the form
+     * - 'reset' after reset()
+     * @param {string} event - Event name
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Function that unsubscribes the handler
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of a form event only
+     * @param {string} event - Event name
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Function that unsubscribes the handler
+     */
+    once(event, handler) {
+        return this.events.once(event, handler);
+    }
+
+    /**
+     * Unsubscribe from a form event
+     * @param {string} event - Event name
+     * @param {function} handler - Handler to remove; all handlers of the event if omitted
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    /**
+     * Notify subscribers of a form event
+     * @param {string} event - Event name
+     * @param {object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        this.events.emit(event, payload);
+    }
+
+    /**
+     * Override this method to handle valid form submission
+     * @param {object} formData - Valid form data, after each field's transforms
+     */
+    onFormValid(formData) {
+        console.log('Form is valid:', formData);
+        // Override this method in your implementation
+    }
+
+    /**
+     * Override this method to handle invalid form submission
+     * @param {object} validationResult - Validation result
+     */
+    onFormInvalid(validationResult) {
+        console.log('Form is invalid:', validationResult);
+        // Override this method in your implementation
+    }
+
+    /**
+     * Override this method to react to touched/dirty/pristine changes
+     * @param {string} fieldName - Field name
+     * @param {object} state - New field state
+     * @param {object} previous - State before the change
+     */
+    onFieldStateChange(fieldName, state, previous) {
+        // Override this method in your implementation
+    }
+
+    /**
+     * Manually trigger validation for all fields
+     */
+    validateAll() {
+        this.markAllTouched();
+        const formData = this.getFormData();
+        const validationResult = this.validator.validateForm(formData);
         this.displayValidationResults(validationResult);
+        this.emit('form:validated', { result: validationResult });
+        return validationResult;
+    }
+
+    /**
+     * Manually trigger validation for all fields, including async rules
+     * @returns {Promise<object>} Validation result
+     */
+    async validateAllAsync() {
+        this.markAllTouched();
+        const formData = this.getFormData();
+        const validationResult = await this.validator.validateFormAsync(formData);
+        if (!validationResult.cancelled) {
+            this.displayValidationResults(validationResult);
+            this.emit('form:validated', { result: validationResult });
+        }
         return validationResult;
     }
 
@@ -377,14 +1804,31 @@ class FormHandler {
      * Reset form and clear all validation
      */
     reset() {
+        this.abortSubmit();
+        this.clearDraft();
         this.form.reset();
+        this.warningsConfirmed = false;
+        this.hideWarningConfirmation();
+        this.validator.getPendingFields().forEach(fieldName => this.validator.cancelFieldValidation(fieldName));
+        this.validationTimers.forEach((timer, fieldName) => this.cancelScheduledValidation(fieldName));
         this.fields.forEach((fieldInfo) => {
             this.clearFieldValidation(fieldInfo.element);
+            if (fieldInfo.mask) {
+                fieldInfo.mask.setValue(fieldInfo.element.value);
+            }
         });
+        this.fields.forEach((fieldInfo, fieldName) => this.updateStrengthMeter(fieldName));
+        this.markAsPristine();
         this.validationResults = {};
+        this.summaryErrors = new Map();
+        this.renderErrorSummary();
+        this.emit('reset');
     }
 }
 
+// Validation trigger policies, see shouldValidate()
+FormHandler.TRIGGERS = ['lazy', 'input', 'blur', 'change', 'submit'];
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = FormHandler;
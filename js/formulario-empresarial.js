@@ -5,7 +5,7 @@
 
 class FormularioEmpresarial {
     constructor() {
-        this.validator = new FormValidator();
+        this.validator = new FormValidator({ locale: 'es' });
         this.formHandler = null;
         this.validationStatus = {};
         
@@ -35,12 +35,8 @@ class FormularioEmpresarial {
      * 🎯 MEJOR PRÁCTICA 1: Extender reglas existentes con validaciones específicas del dominio
      */
     agregarReglasPersonalizadas() {
-        // Validación de precios/moneda
-        this.validator.addValidationRule('price', (value, params) => {
-            if (!value) return true;
-            const price = parseFloat(value);
-            return price > 0 && price <= 999999999.99 && /^\d+(\.\d{1,2})?$/.test(value);
-        }, 'Ingrese un precio válido (máximo 2 decimales)');
+        // Los montos usan la regla money del validador (pesos con separadores
+        // colombianos, 2 decimales como máximo); no hace falta una regla propia
 
         // Validación de inventario/empleados
         this.validator.addValidationRule('inventory', (value, params) => {
@@ -49,45 +45,9 @@ class FormularioEmpresarial {
             return Number.isInteger(qty) && qty >= 0 && qty <= 999999;
         }, 'Ingrese una cantidad válida (número entero positivo)');
 
-        // Validación de rango de fechas
-        this.validator.addValidationRule('dateRange', (value, params) => {
-            if (!value) return true;
-            
-            const date = new Date(value);
-            const after = params.after ? new Date(params.after) : null;
-            const before = params.before ? new Date(params.before) : null;
-            
-            if (after && date < after) return false;
-            if (before && date > before) return false;
-            
-            return true;
-        }, 'La fecha debe estar dentro del rango permitido');
-
-        // Validación de selección mínima en checkboxes
-        this.validator.addValidationRule('minSelected', (value, params, formData) => {
-            if (!params.group) return true;
-            
-            // Contar checkboxes seleccionados en el grupo
-            const form = document.getElementById('empresarialForm');
-            const checkboxes = form.querySelectorAll(`[name="${params.group}"]:checked`);
-            
-            return checkboxes.length >= (params.min || 1);
-        }, 'Debe seleccionar al menos {min} opción(es)');
-
-        // Validación de NIT/RUC con algoritmo específico
-        this.validator.addValidationRule('nitValido', (value, params) => {
-            if (!value) return true;
-            
-            // Remover caracteres no numéricos
-            const nit = value.replace(/\D/g, '');
-            
-            // Verificar longitud mínima
-            if (nit.length < 8) return false;
-            
-            // Aquí puedes implementar el algoritmo específico de tu país
-            // Por ahora, validación básica
-            return /^\d{8,15}$/.test(nit);
-        }, 'Ingrese un NIT/RUC válido');
+        // Selección mínima en checkboxes: el FormHandler entrega el grupo como
+        // arreglo de valores, así que basta con la regla genérica minItems
+        this.validator.addRuleAlias('minSelected', 'minItems');
 
         // Validación de código de empresa con formato específico
         this.validator.addValidationRule('codigoEmpresa', (value, params) => {
@@ -106,9 +66,28 @@ class FormularioEmpresarial {
             const minYear = params.min || 1800;
             const maxYear = params.max || currentYear;
             
-            return year >= minYear && year <= maxYear;
+            // El rango usado se devuelve para que el mensaje muestre el año máximo aplicado
+            return { valid: year >= minYear && year <= maxYear, params: { min: minYear, max: maxYear } };
         }, 'Ingrese un año válido entre {min} y {max}');
 
+        // Advertencia: ventas desproporcionadas respecto al capital (no bloquea el envío)
+        // Ambos montos llegan como { amount, currency } gracias al transformador money
+        this.validator.addValidationRule('ventasProporcionales', (value, params, formData) => {
+            const capital = formData[params.field];
+            if (!value || !capital || typeof value.amount !== 'number' || typeof capital.amount !== 'number') return true;
+
+            return value.amount <= capital.amount * (params.ratio || 100);
+        }, 'Las ventas superan {ratio} veces el capital social, verifique los montos', { severity: 'warning' });
+
+        // Advertencia: año de fundación posterior al inicio de operaciones
+        this.validator.addValidationRule('fundacionAntesDeOperaciones', (value, params, formData) => {
+            const fechaOperaciones = formData[params.field];
+            if (!value || !fechaOperaciones) return true;
+
+            // El año se lee del texto ISO: new Date() lo interpreta en UTC y puede caer en el año anterior
+            return parseInt(value) <= parseInt(String(fechaOperaciones).slice(0, 4));
+        }, 'El año de fundación es posterior al inicio de operaciones', { severity: 'warning' });
+
         console.log('✅ Reglas personalizadas agregadas');
     }
 
@@ -118,34 +97,74 @@ class FormularioEmpresarial {
     configurarFormHandler() {
         class FormHandlerEmpresarial extends FormHandler {
             constructor(selector, validator) {
-                super(selector, validator);
+                super(selector, validator, {
+                    confirmWarnings: true,
+                    // Errores al salir del campo; un campo con error se revalida al escribir
+                    trigger: 'lazy',
+                    // Borrador local: el formulario es largo y se perdía al recargar.
+                    // Las contraseñas y la cédula (data-sensitive) no se guardan
+                    draft: { key: 'borrador-empresarial', ttl: 24 * 60 * 60 * 1000 },
+                    // Sin backend en la demo: el transporte simulado responde como la API real
+                    submit: {
+                        endpoint: '/api/empresas',
+                        transport: request => FormHandlerEmpresarial.servidorSimulado(request)
+                    }
+                });
                 this.configurarValidacionesEspecificas();
+
+                this.on('submit:success', ({ data, response }) => {
+                    console.log('✅ Empresa registrada en el servidor:', response);
+                    this.mostrarResumenEmpresa(data);
+                    this.mostrarMensajeExito();
+                });
+
+                // El tipo de número detectado (celular, fijo...) se muestra en la ayuda
+                this.on('field:validated', ({ fieldName, result }) => {
+                    if (fieldName === 'telefonoRepresentante') {
+                        this.mostrarTipoTelefono(result);
+                    }
+                });
+                this.on('reset', () => this.mostrarTipoTelefono({ isValid: false }));
+
+                // Los errores por campo del servidor ya se muestran en cada campo
+                this.on('submit:error', ({ phase, error, fieldErrors }) => {
+                    if (phase !== 'server') return;
+                    console.error('❌ El servidor rechazó el registro:', error.message);
+                    this.enfocarPrimerError({
+                        errors: Object.keys(fieldErrors).map(field => ({ field }))
+                    });
+                });
             }
 
             configurarValidacionesEspecificas() {
                 // Configurar validaciones adicionales no declaradas en HTML
                 const configuraciones = {
-                    // Capital social con validación de precio
+                    // Capital social en pesos: se envía como { amount, currency } en centavos
                     capitalSocial: {
+                        transform: [{ name: 'money', params: { currency: 'COP', locale: 'es-CO' } }],
                         rules: [
                             'required',
-                            'number',
-                            { name: 'min', params: { value: 1000 } },
-                            'price'
+                            { name: 'money', params: { currency: 'COP', locale: 'es-CO', min: 1000 } }
                         ]
                     },
                     
-                    // Ventas anuales (opcional pero si se llena, debe ser válida)
+                    // Ventas anuales: obligatorias solo para Sociedades Anónimas
                     ventasAnuales: {
+                        transform: [{ name: 'money', params: { currency: 'COP', locale: 'es-CO' } }],
                         rules: [
-                            'number',
-                            { name: 'min', params: { value: 0 } },
-                            'price'
+                            {
+                                name: 'required',
+                                when: { field: 'tipoEmpresa', equals: 'SA' },
+                                message: 'Las Sociedades Anónimas deben reportar ventas anuales'
+                            },
+                            { name: 'money', params: { currency: 'COP', locale: 'es-CO' } },
+                            { name: 'ventasProporcionales', params: { field: 'capitalSocial', ratio: 100 } }
                         ]
                     },
                     
                     // Número de empleados
                     numeroEmpleados: {
+                        transform: ['integer'],
                         rules: [
                             'required',
                             'inventory',
@@ -155,34 +174,37 @@ class FormularioEmpresarial {
                     
                     // Año de fundación
                     anoFundacion: {
+                        transform: ['integer'],
                         rules: [
                             'required',
                             'number',
-                            { name: 'anoValido', params: { min: 1800, max: 2025 } }
+                            { name: 'anoValido', params: { min: 1800 } },
+                            { name: 'fundacionAntesDeOperaciones', params: { field: 'fechaInicioOperaciones' } }
                         ]
                     },
                     
-                    // NIT con validación específica
+                    // NIT colombiano con dígito de verificación (algoritmo DIAN)
                     nit: {
+                        transform: ['digits'],
                         rules: [
                             'required',
-                            'nitValido'
+                            { name: 'taxId', params: { country: 'CO' } }
                         ]
                     },
                     
+                    // Teléfono: se envía en formato E.164 (+573001234567)
+                    telefonoRepresentante: {
+                        transform: [{ name: 'e164', params: { region: 'CO' } }],
+                        rules: []
+                    },
+                    
                     // Código de empresa
                     codigoEmpresa: {
+                        transform: ['trim', 'uppercase'],
                         rules: [
                             'required',
                             'codigoEmpresa'
                         ]
-                    },
-                    
-                    // Servicios (validación de grupo)
-                    servicios: {
-                        rules: [
-                            { name: 'minSelected', params: { min: 1, group: 'servicios' } }
-                        ]
                     }
                 };
 
@@ -190,8 +212,12 @@ class FormularioEmpresarial {
                 Object.entries(configuraciones).forEach(([campo, config]) => {
                     const campoExistente = this.validator.fieldConfigs.get(campo);
                     if (campoExistente) {
-                        // Combinar reglas existentes con nuevas
-                        campoExistente.rules = [...campoExistente.rules, ...config.rules];
+                        // Combinar reglas existentes con nuevas, sin repetir las del HTML
+                        const nombreRegla = regla => (typeof regla === 'string' ? regla : regla.name);
+                        const existentes = campoExistente.rules.map(nombreRegla);
+                        const nuevas = config.rules.filter(regla => !existentes.includes(nombreRegla(regla)));
+                        campoExistente.rules = [...campoExistente.rules, ...nuevas];
+                        campoExistente.transform = config.transform || campoExistente.transform;
                         this.validator.configureField(campo, campoExistente);
                     } else {
                         this.validator.configureField(campo, config);
@@ -199,11 +225,25 @@ class FormularioEmpresarial {
                 });
             }
 
+            mostrarTipoTelefono(result) {
+                const campo = this.form.querySelector('[name="telefonoRepresentante"]');
+                const ayuda = campo && campo.parentElement.querySelector('.field-hint');
+                if (!ayuda) return;
+
+                const tipos = {
+                    mobile: 'Celular',
+                    landline: 'Teléfono fijo',
+                    fixedOrMobile: 'Celular o fijo',
+                    tollFree: 'Línea gratuita'
+                };
+                const detalle = result.isValid && result.details && result.details.phone;
+                ayuda.textContent = detalle
+                    ? `${tipos[detalle.type]} (${detalle.region}): ${detalle.e164}`
+                    : 'Celular o fijo con código de país';
+            }
+
             onFormValid(formData) {
-                console.log('✅ Formulario empresarial válido!', formData);
-                this.mostrarResumenEmpresa(formData);
-                this.mostrarMensajeExito();
-                this.simularEnvioServidor(formData);
+                console.log('✅ Formulario empresarial válido, enviando...', formData);
             }
 
             onFormInvalid(validationResult) {
@@ -222,7 +262,8 @@ class FormularioEmpresarial {
                     'Código Empresa': formData.codigoEmpresa,
                     'Tipo': formData.tipoEmpresa,
                     'Sector': formData.sector,
-                    'Capital Social': formData.capitalSocial ? `$${formData.capitalSocial}` : 'No especificado',
+                    'Capital Social': formData.capitalSocial ? this.formatearMonto(formData.capitalSocial) : 'No especificado',
+                    'Ventas Anuales': formData.ventasAnuales ? this.formatearMonto(formData.ventasAnuales) : '',
                     'Empleados': formData.numeroEmpleados,
                     'Representante': formData.nombreRepresentante,
                     'Email': formData.emailRepresentante,
@@ -246,6 +287,15 @@ class FormularioEmpresarial {
                 resumen.scrollIntoView({ behavior: 'smooth' });
             }
 
+            /**
+             * Monto en formato colombiano: { amount: 100000050, currency: 'COP' } -> "$ 1.000.000,50"
+             * @param {object|string} monto - Monto transformado, o el texto si no se pudo interpretar
+             * @returns {string} Monto para mostrar
+             */
+            formatearMonto(monto) {
+                return typeof monto === 'object' ? Money.format(monto, 'es-CO') : monto;
+            }
+
             mostrarMensajeExito() {
                 const mensajeExistente = document.querySelector('.success-message');
                 if (mensajeExistente) mensajeExistente.remove();
@@ -262,25 +312,29 @@ class FormularioEmpresarial {
                 form.insertBefore(mensaje, form.firstChild);
             }
 
-            async simularEnvioServidor(formData) {
-                console.log('📡 Simulando envío al servidor...');
-                
-                // Simular delay de red
+            /**
+             * Simula la API: responde tras 1s y rechaza el NIT 900.123.456-8,
+             * que figura como ya registrado
+             * @param {object} request - Petición que arma FormHandler.submit()
+             * @returns {Promise<Response>} Respuesta como la de fetch
+             */
+            static async servidorSimulado(request) {
+                console.log('📡 Enviando al servidor simulado...', request.url);
                 await new Promise(resolve => setTimeout(resolve, 1000));
-                
-                // Aquí harías la llamada real al servidor
-                console.log('✅ Datos enviados al servidor:', {
-                    empresa: {
-                        razonSocial: formData.razonSocial,
-                        nit: formData.nit,
-                        codigo: formData.codigoEmpresa
-                    },
-                    representante: {
-                        nombre: formData.nombreRepresentante,
-                        email: formData.emailRepresentante
-                    },
-                    timestamp: new Date().toISOString()
-                });
+
+                const datos = JSON.parse(request.body);
+                const cabeceras = { 'Content-Type': 'application/json' };
+
+                if (datos.nit === '9001234568') {
+                    return new Response(JSON.stringify({
+                        errors: { nit: 'Este NIT ya está registrado' }
+                    }), { status: 422, headers: cabeceras });
+                }
+
+                return new Response(JSON.stringify({
+                    id: `EMP-${Date.now()}`,
+                    recibido: new Date().toISOString()
+                }), { status: 201, headers: cabeceras });
             }
 
             actualizarEstadoValidacion(validationResult) {
@@ -305,6 +359,11 @@ class FormularioEmpresarial {
                                 ${validationResult.errors.length} error(es) por corregir
                             </p>
                         ` : ''}
+                        ${validationResult.warnings.length > 0 ? `
+                            <p style="color: #b45309; font-size: 0.85em; margin-top: 4px;">
+                                ${validationResult.warnings.length} advertencia(s) por revisar
+                            </p>
+                        ` : ''}
                     </div>
                 `;
             }
@@ -347,31 +406,8 @@ class FormularioEmpresarial {
             });
         }
 
-        // Validación automática de código de empresa
-        const codigoInput = document.getElementById('codigoEmpresa');
-        if (codigoInput) {
-            codigoInput.addEventListener('input', (e) => {
-                // Convertir a mayúsculas automáticamente
-                e.target.value = e.target.value.toUpperCase();
-            });
-        }
-
-        // Formateo automático de NIT
-        const nitInput = document.getElementById('nit');
-        if (nitInput) {
-            nitInput.addEventListener('input', (e) => {
-                // Permitir solo números y guiones
-                e.target.value = e.target.value.replace(/[^\d\-]/g, '');
-            });
-        }
-
-        // Validación condicional de servicios
-        const serviciosCheckboxes = document.querySelectorAll('[name="servicios"]');
-        serviciosCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                this.validarGrupoServicios();
-            });
-        });
+        // El formato mientras se escribe (NIT, teléfono, montos) lo aplican las
+        // máscaras data-mask del HTML; codigoEmpresa se normaliza con "transform"
 
         console.log('✅ Eventos adicionales configurados');
     }
@@ -382,103 +418,20 @@ class FormularioEmpresarial {
     configurarValidacionEnTiempoReal() {
         const form = document.getElementById('empresarialForm');
         
-        // Validación progresiva: validar campos relacionados
-        form.addEventListener('input', (e) => {
-            const campo = e.target;
-            
-            // Validaciones específicas por campo
-            switch (campo.name) {
-                case 'capitalSocial':
-                case 'ventasAnuales':
-                    this.validarCamposFinancieros();
-                    break;
-                    
-                case 'anoFundacion':
-                    this.validarConsistenciaFechas();
-                    break;
-                    
-                case 'passwordEmpresa':
-                    this.validarConsistenciaPassword();
-                    break;
-            }
-            
+        // Las validaciones cruzadas (ventas/capital, fundación/operaciones) son
+        // reglas con severidad "warning" que el FormHandler re-valida por dependencias
+        form.addEventListener('input', () => {
             this.actualizarProgreso();
         });
 
-        console.log('✅ Validación en tiempo real configurada');
-    }
-
-    /**
-     * 🎯 MEJOR PRÁCTICA 5: Validaciones contextuales específicas
-     */
-    validarCamposFinancieros() {
-        const capital = document.getElementById('capitalSocial').value;
-        const ventas = document.getElementById('ventasAnuales').value;
-        
-        if (capital && ventas) {
-            const capitalNum = parseFloat(capital);
-            const ventasNum = parseFloat(ventas);
-            
-            // Lógica de negocio: las ventas no deberían ser 100 veces mayor al capital
-            if (ventasNum > capitalNum * 100) {
-                console.log('⚠️ Advertencia: Ventas muy altas comparadas con capital');
-            }
-        }
-    }
-
-    validarConsistenciaFechas() {
-        const anoFundacion = document.getElementById('anoFundacion').value;
-        const fechaOperaciones = document.getElementById('fechaInicioOperaciones').value;
-        
-        if (anoFundacion && fechaOperaciones) {
-            const anoOperaciones = new Date(fechaOperaciones).getFullYear();
-            
-            if (parseInt(anoFundacion) > anoOperaciones) {
-                console.log('⚠️ Inconsistencia: Año de fundación posterior a inicio de operaciones');
-            }
-        }
-    }
-
-    validarConsistenciaPassword() {
-        const confirmField = document.getElementById('confirmarPassword');
-        if (confirmField.value) {
-            // Re-validar confirmación de password
-            this.formHandler.validateFieldRealtime(confirmField);
-        }
-    }
-
-    validarGrupoServicios() {
-        // Obtener el primer checkbox del grupo para validar
-        const primerCheckbox = document.querySelector('[name="servicios"]');
-        if (primerCheckbox) {
-            const formData = this.formHandler.getFormData();
-            const resultado = this.validator.validateField('servicios', null, formData);
-            
-            // Mostrar/ocultar mensaje de error para el grupo
-            this.mostrarErrorGrupo('servicios', resultado);
-        }
-    }
+        // Un borrador restaurado cambia los valores sin eventos de input
+        this.formHandler.on('draft:restored', () => this.actualizarProgreso());
 
-    mostrarErrorGrupo(nombreGrupo, resultado) {
-        const fieldset = document.querySelector(`[name="${nombreGrupo}"]`).closest('fieldset');
-        const errorExistente = fieldset.querySelector('.error-message');
-        
-        if (errorExistente) {
-            errorExistente.remove();
-        }
-        
-        if (!resultado.isValid) {
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'error-message';
-            errorDiv.innerHTML = `
-                <div class="error-item">${resultado.errors[0].message}</div>
-            `;
-            fieldset.appendChild(errorDiv);
-        }
+        console.log('✅ Validación en tiempo real configurada');
     }
 
     /**
-     * 🎯 MEJOR PRÁCTICA 6: Retroalimentación visual y progreso
+     * 🎯 MEJOR PRÁCTICA 5: Retroalimentación visual y progreso
      */
     actualizarProgreso() {
         const formData = this.formHandler.getFormData();
@@ -598,7 +551,7 @@ class FormularioEmpresarial {
     }
 
     /**
-     * �🎯 MEJOR PRÁCTICA 7: API pública para extensión
+     * �🎯 MEJOR PRÁCTICA 6: API pública para extensión
      */
     agregarValidacionPersonalizada(nombre, validador, mensaje) {
         return this.validator.addValidationRule(nombre, validador, mensaje);
@@ -637,6 +590,15 @@ class FormularioEmpresarial {
         console.log(`🌓 Tema cambiado programáticamente a: ${tema}`);
     }
     
+    /**
+     * Cambiar el idioma de los mensajes de validación
+     * @param {string} idioma - Código de idioma, p. ej. 'es' o 'en'
+     */
+    cambiarIdioma(idioma) {
+        this.formHandler.setLocale(idioma);
+        console.log(`🌐 Idioma de validación cambiado a: ${idioma}`);
+    }
+
     /**
      * Obtener tema actual
      */
@@ -670,4 +632,5 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('- appEmpresarial.obtenerDatosFormulario()');
     console.log('- appEmpresarial.cambiarTema("dark" | "light")');
     console.log('- appEmpresarial.obtenerTemaActual()');
+    console.log('- appEmpresarial.cambiarIdioma("es" | "en")');
 });
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * Input Mask
+ * Formats an input while typing and exposes its unmasked value
+ */
+
+class InputMask {
+    /**
+     * @param {HTMLInputElement} element - Input to format
+     * @param {string|object} mask - Preset name ('phone', 'nit', 'currency'...), pattern or mask definition
+     * @param {object} options - Options for the preset, e.g. { thousands: '.', decimal: ',' } for currency
+     */
+    constructor(element, mask, options = {}) {
+        this.element = element;
+        this.definition = InputMask.createDefinition(mask, options);
+        this.handleInput = this.handleInput.bind(this);
+        this.lastUnmasked = '';
+    }
+
+    /**
+     * Build a mask definition from a preset name or a pattern.
+     * Pattern tokens: # digit, A letter, * letter or digit; anything else is a literal.
+     * @param {string|object} mask - Preset name, pattern or definition
+     * @param {object} options - Preset options
+     * @returns {object} Definition with accept (RegExp), format(raw) and unmask(value)
+     */
+    static createDefinition(mask, options = {}) {
+        if (mask && typeof mask === 'object') {
+            return mask;
+        }
+
+        const preset = InputMask.PRESETS[mask];
+        if (typeof preset === 'function') {
+            return preset(options);
+        }
+        return InputMask.pattern(preset || mask, options);
+    }
+
+    /**
+     * Definition for a fixed pattern such as '(###) ###-####'
+     * @param {string} pattern - Mask pattern
+     * @param {object} options - { uppercase: true } uppercases letters
+     * @returns {object} Mask definition
+     */
+    static pattern(pattern, options = {}) {
+        const tokens = {
+            '#': /\d/,
+            'A': /[a-zA-Z]/,
+            '*': /[a-zA-Z\d]/
+        };
+        const accept = /[a-zA-Z\d]/;
+
+        // Slot the typed characters into the pattern; literals only appear
+        // while there are characters left to place after them
+        const format = raw => {
+            const chars = Array.from(raw).filter(char => accept.test(char));
+            let result = '';
+            let pending = '';
+
+            for (const slot of pattern) {
+                if (chars.length === 0) break;
+
+                if (!tokens[slot]) {
+                    pending += slot;
+                    continue;
+                }
+
+                // Drop characters the slot does not allow
+                while (chars.length > 0 && !tokens[slot].test(chars[0])) {
+                    chars.shift();
+                }
+                if (chars.length === 0) break;
+
+                const char = chars.shift();
+                result += pending + (options.uppercase ? char.toUpperCase() : char);
+                pending = '';
+            }
+            return result;
+        };
+
+        return {
+            accept,
+            format,
+            unmask: value => Array.from(format(value)).filter(char => accept.test(char)).join('')
+        };
+    }
+
+    /**
+     * Definition for an amount with thousands grouping, e.g. '1.000.000,50'
+     * @param {object} options - thousands and decimal separators, precision
+     * @returns {object} Mask definition; unmask returns '1000000.50'
+     */
+    static currency(options = {}) {
+        const thousands = options.thousands !== undefined ? options.thousands : ',';
+        const decimal = options.decimal || '.';
+        const precision = options.precision !== undefined ? options.precision : 2;
+        const escapedDecimal = decimal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const accept = new RegExp(`[\\d${escapedDecimal}]`);
+
+        const split = raw => {
+            const chars = Array.from(raw).filter(char => accept.test(char)).join('');
+            const separator = precision > 0 ? chars.indexOf(decimal) : -1;
+            const integer = (separator === -1 ? chars : chars.slice(0, separator)).replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+            const fraction = separator === -1 ? null : chars.slice(separator + 1).replace(/\D/g, '').slice(0, precision);
+            return { integer, fraction };
+        };
+
+        return {
+            accept,
+            format: raw => {
+                const { integer, fraction } = split(raw);
+                const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+                if (fraction === null) return grouped;
+                return `${grouped || '0'}${decimal}${fraction}`;
+            },
+            unmask: value => {
+                const { integer, fraction } = split(value);
+                return fraction ? `${integer || '0'}.${fraction}` : integer;
+            }
+        };
+    }
+
+    /**
+     * Definition for a phone number in any country's layout, e.g. '+34 612 34 56 78'.
+     * Keeps a leading '+' and the spaces the user types; fixed patterns cannot
+     * fit every numbering plan and would drop the '+' the region is read from.
+     * @param {object} options - maxLength in digits (E.164 allows 15)
+     * @returns {object} Mask definition; unmask returns '+34612345678'
+     */
+    static internationalPhone(options = {}) {
+        const maxLength = options.maxLength || 15;
+        const accept = /[\d+]/;
+
+        const format = raw => {
+            let result = '';
+            let digits = 0;
+            for (const char of String(raw)) {
+                if (/\d/.test(char) && digits < maxLength) {
+                    result += char;
+                    digits++;
+                } else if (char === '+' && result === '') {
+                    result = '+';
+                } else if (/\s/.test(char) && result !== '' && result !== '+' && !result.endsWith(' ')) {
+                    result += ' ';
+                }
+            }
+            return result;
+        };
+
+        return {
+            accept,
+            format,
+            unmask: value => format(value).replace(/\s/g, '')
+        };
+    }
+
+    /**
+     * Definition for an ID ending in a check digit, e.g. a NIT '800.123.456-7'.
+     * Formats from the right: the last digit goes after the separator and the
+     * body is grouped in thousands, so shorter IDs keep their groups too.
+     * Extra digits are kept, not cut: cutting would move the check digit and
+     * the validator would report a number the user never typed.
+     * @param {object} options - thousands and separator characters, optional maxLength in digits
+     * @returns {object} Mask definition; unmask returns the digits only
+     */
+    static checkDigit(options = {}) {
+        const thousands = options.thousands !== undefined ? options.thousands : '.';
+        const separator = options.separator !== undefined ? options.separator : '-';
+        const accept = /\d/;
+        const digits = raw => {
+            const value = String(raw).replace(/\D/g, '');
+            return options.maxLength ? value.slice(0, options.maxLength) : value;
+        };
+
+        return {
+            accept,
+            format: raw => {
+                const value = digits(raw);
+                if (value.length < 2) return value;
+                const body = value.slice(0, -1).replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+                return `${body}${separator}${value.slice(-1)}`;
+            },
+            unmask: value => digits(value)
+        };
+    }
+
+    /**
+     * Start formatting the input, including its current value
+     * @returns {InputMask} This mask
+     */
+    attach() {
+        this.element.addEventListener('input', this.handleInput);
+        if (this.element.value) {
+            this.setValue(this.element.value);
+        }
+        return this;
+    }
+
+    /**
+     * Stop formatting the input
+     */
+    detach() {
+        this.element.removeEventListener('input', this.handleInput);
+    }
+
+    /**
+     * Reformat after each edit, typing and paste alike, keeping the caret
+     * next to the same typed character
+     * @param {InputEvent} event - Input event
+     */
+    handleInput(event) {
+        let value = this.element.value;
+        let caret = this.getCaret();
+
+        // Deleting a literal such as ')' would not change the unmasked value;
+        // delete the typed character next to it instead
+        const inputType = event && event.inputType ? event.inputType : '';
+        if (inputType.startsWith('delete') && caret !== null &&
+            this.definition.unmask(value) === this.lastUnmasked) {
+            const index = inputType === 'deleteContentForward'
+                ? this.findAccepted(value, caret, 1)
+                : this.findAccepted(value, caret - 1, -1);
+            if (index !== -1) {
+                value = value.slice(0, index) + value.slice(index + 1);
+                caret = index;
+            }
+        }
+
+        const acceptedBeforeCaret = caret === null ? null : this.countAccepted(value.slice(0, caret));
+        const formatted = this.definition.format(value);
+
+        this.element.value = formatted;
+        this.lastUnmasked = this.definition.unmask(formatted);
+
+        if (acceptedBeforeCaret !== null) {
+            this.setCaret(this.positionAfterAccepted(formatted, acceptedBeforeCaret));
+        }
+    }
+
+    /**
+     * Replace the input value, formatting it
+     * @param {string} value - Masked or unmasked value
+     */
+    setValue(value) {
+        this.element.value = this.definition.format(String(value));
+        this.lastUnmasked = this.definition.unmask(this.element.value);
+    }
+
+    /**
+     * Value without the mask's formatting, as given to the validator
+     * @returns {string} Unmasked value
+     */
+    getUnmaskedValue() {
+        return this.definition.unmask(this.element.value);
+    }
+
+    /**
+     * Count characters the mask keeps (digits, letters...)
+     * @param {string} text - Text to scan
+     * @returns {number} Count
+     */
+    countAccepted(text) {
+        return Array.from(text).filter(char => this.definition.accept.test(char)).length;
+    }
+
+    /**
+     * Position just after the n-th kept character of a formatted value
+     * @param {string} value - Formatted value
+     * @param {number} count - Kept characters to skip
+     * @returns {number} Caret position
+     */
+    positionAfterAccepted(value, count) {
+        if (count === 0) return 0;
+
+        let seen = 0;
+        for (let index = 0; index < value.length; index++) {
+            if (this.definition.accept.test(value[index])) seen++;
+            if (seen === count) return index + 1;
+        }
+        return value.length;
+    }
+
+    /**
+     * Find the nearest kept character from a position
+     * @param {string} value - Value to scan
+     * @param {number} start - First index to check
+     * @param {number} step - 1 to scan forward, -1 backward
+     * @returns {number} Index, or -1 if none
+     */
+    findAccepted(value, start, step) {
+        for (let index = start; index >= 0 && index < value.length; index += step) {
+            if (this.definition.accept.test(value[index])) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Caret position, or null for inputs without a text selection (e.g. type="number")
+     * @returns {number|null} Caret position
+     */
+    getCaret() {
+        try {
+            return this.element.selectionStart;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Move the caret, only while the input has focus
+     * @param {number} position - Caret position
+     */
+    setCaret(position) {
+        if (this.element.ownerDocument.activeElement !== this.element) return;
+        try {
+            this.element.setSelectionRange(position, position);
+        } catch {
+            // Input type without a text selection
+        }
+    }
+}
+
+// Built-in masks, usable as data-mask="<name>"
+InputMask.PRESETS = {
+    phone: '(###) ###-####',
+    internationalPhone: options => InputMask.internationalPhone(options),
+    nit: options => InputMask.checkDigit(options),
+    postalCode: '#####-####',
+    creditCard: '#### #### #### #### ###',
+    currency: options => InputMask.currency(options),
+    uppercase: () => ({
+        accept: /[^\s]/,
+        format: raw => raw.toUpperCase(),
+        unmask: value => value.toUpperCase()
+    })
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputMask;
+}
@@ -0,0 +1,375 @@
+/**
+ * Message Catalog
+ * Localized validation and UI messages with fallbacks and pluralization
+ */
+
+class MessageCatalog {
+    /**
+     * @param {string} locale - Active locale, e.g. 'en' or 'es-CO'
+     * @param {string} fallbackLocale - Locale used when a key is missing
+     */
+    constructor(locale = 'en', fallbackLocale = 'en') {
+        this.catalogs = new Map();
+        this.locale = locale;
+        this.fallbackLocale = fallbackLocale;
+
+        Object.entries(MessageCatalog.BUILT_IN).forEach(([catalogLocale, messages]) => {
+            this.addMessages(catalogLocale, messages);
+        });
+    }
+
+    /**
+     * Add or override messages for a locale
+     * @param {string} locale - Locale code
+     * @param {object} messages - Key -> message, or key -> plural forms ({ one, other, ... })
+     */
+    addMessages(locale, messages) {
+        const existing = this.catalogs.get(locale) || {};
+        this.catalogs.set(locale, { ...existing, ...messages });
+    }
+
+    /**
+     * Change the active locale
+     * @param {string} locale - Locale code
+     */
+    setLocale(locale) {
+        this.locale = locale;
+    }
+
+    /**
+     * Get the active locale
+     * @returns {string} Locale code
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Get the locales that have messages
+     * @returns {array} Locale codes
+     */
+    getAvailableLocales() {
+        return Array.from(this.catalogs.keys());
+    }
+
+    /**
+     * Locales to search for a locale, most specific first: 'es-CO' -> ['es-CO', 'es']
+     * @param {string} locale - Locale code
+     * @returns {array} Locale codes
+     */
+    getLocaleChain(locale) {
+        const base = locale.split('-')[0];
+        return base !== locale ? [locale, base] : [locale];
+    }
+
+    /**
+     * Look up a raw message in one locale, trying its base language too
+     * @param {string} key - Message key
+     * @param {string} locale - Locale code
+     * @returns {string|object|null} Message or plural forms
+     */
+    lookup(key, locale) {
+        for (const candidate of this.getLocaleChain(locale)) {
+            const messages = this.catalogs.get(candidate);
+            if (messages && messages[key] !== undefined) {
+                return messages[key];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether the active locale (not the fallback) has a key
+     * @param {string} key - Message key
+     * @returns {boolean} True if translated
+     */
+    has(key) {
+        return this.lookup(key, this.locale) !== null;
+    }
+
+    /**
+     * Format a message in the active locale, falling back to the fallback locale
+     * @param {string} key - Message key
+     * @param {object} params - Values for {placeholders}; `count` selects the plural form
+     * @returns {string|null} Formatted message, or null if no locale has the key
+     */
+    format(key, params = {}) {
+        const message = this.lookup(key, this.locale) || this.lookup(key, this.fallbackLocale);
+        if (message === null) return null;
+
+        return this.interpolate(message, params, this.lookup(key, this.locale) ? this.locale : this.fallbackLocale);
+    }
+
+    /**
+     * Fill a message template, choosing the plural form if it has several
+     * @param {string|object} message - Template or plural forms
+     * @param {object} params - Values for {placeholders}
+     * @param {string} locale - Locale used for plural rules
+     * @returns {string} Formatted message
+     */
+    interpolate(message, params = {}, locale = this.locale) {
+        let template = message;
+
+        if (typeof message === 'object' && message !== null) {
+            const count = this.getPluralCount(params);
+            const category = count === null ? 'other' : this.getPluralCategory(count, locale);
+            template = message[category] || message.other || Object.values(message)[0];
+        }
+
+        return Object.entries(params).reduce((text, [key, value]) => {
+            if (value === null || value === undefined || value === '' || typeof value === 'object') {
+                return text;
+            }
+            // A function, so '$&' and the like in values are not replacement patterns
+            return text.replace(new RegExp(`\\{${key}\\}`, 'g'), () => value);
+        }, template);
+    }
+
+    /**
+     * Pick the number that drives pluralization: `count`, else the first numeric param
+     * @param {object} params - Message params
+     * @returns {number|null} Count
+     */
+    getPluralCount(params) {
+        if (typeof params.count === 'number') return params.count;
+        const numeric = Object.values(params).find(value => typeof value === 'number');
+        return numeric === undefined ? null : numeric;
+    }
+
+    /**
+     * Plural category of a number in a locale
+     * @param {number} count - Number
+     * @param {string} locale - Locale code
+     * @returns {string} 'zero', 'one', 'two', 'few', 'many' or 'other'
+     */
+    getPluralCategory(count, locale) {
+        if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+            return new Intl.PluralRules(locale).select(count);
+        }
+        return count === 1 ? 'one' : 'other';
+    }
+}
+
+// Messages shipped with the library. Rule messages are keyed by rule name,
+// FormHandler interface strings by "form.*".
+MessageCatalog.BUILT_IN = {
+    en: {
+        required: 'This field is required',
+        minLength: {
+            one: 'Must be at least {length} character long',
+            other: 'Must be at least {length} characters long'
+        },
+        maxLength: {
+            one: 'Must be no more than {length} character long',
+            other: 'Must be no more than {length} characters long'
+        },
+        email: 'Please enter a valid email address',
+        'email.length': 'Email addresses can have at most {max} characters',
+        'email.localLength': 'The part before @ can have at most {max} characters',
+        'email.plus': 'Addresses with + are not accepted',
+        'email.domain': 'Use an address from {domains}',
+        'email.disposable': 'Disposable email addresses ({domain}) are not accepted',
+        emailSuggestion: 'Did you mean {suggestion}?',
+        phone: 'Please enter a valid phone number',
+        number: 'Please enter a valid number',
+        min: 'Value must be at least {value}',
+        max: 'Value must be no more than {value}',
+        pattern: 'Please match the required format',
+        password: 'Password must contain uppercase, lowercase, numbers, special characters, and be at least 8 characters long',
+        'password.minLength': 'Use at least {minLength} characters',
+        'password.maxLength': 'Use at most {maxLength} characters',
+        'password.uppercase': 'Add an uppercase letter',
+        'password.lowercase': 'Add a lowercase letter',
+        'password.number': 'Add a number',
+        'password.special': 'Add a special character',
+        'password.common': 'This password is too common',
+        'password.forbidden': 'The password cannot contain "{word}"',
+        'password.similar': 'The password is too similar to {field}',
+        'password.score': 'Choose a stronger password',
+        confirmPassword: 'Passwords do not match',
+        age: 'Please enter a valid age between {min} and {max}',
+        'age.min': 'You must be at least {min} years old',
+        'age.max': 'The age cannot be over {max} years',
+        date: 'Please enter a valid date',
+        'date.min': 'The date must be {min} or later',
+        'date.max': 'The date must be {max} or earlier',
+        'date.after': 'The date must be after {after}',
+        'date.before': 'The date must be before {before}',
+        'date.weekday': 'Choose a {weekdays}',
+        'date.businessDay': 'Choose a business day',
+        time: 'Please enter a valid time',
+        'time.min': 'The time must be {min} or later',
+        'time.max': 'The time must be {max} or earlier',
+        'time.after': 'The time must be after {after}',
+        'time.before': 'The time must be before {before}',
+        dateTime: 'Please enter a valid date and time',
+        'dateTime.min': 'Must be {min} or later',
+        'dateTime.max': 'Must be {max} or earlier',
+        'dateTime.after': 'Must be after {after}',
+        'dateTime.before': 'Must be before {before}',
+        'dateTime.weekday': 'Choose a {weekdays}',
+        'dateTime.businessDay': 'Choose a business day',
+        money: 'Please enter a valid amount',
+        'money.currency': 'Unknown currency {currency}',
+        'money.precision': 'Use at most {precision} decimals for {currency}',
+        'money.integer': '{currency} amounts have no decimals',
+        'money.negative': 'The amount cannot be negative',
+        'money.min': 'The amount must be at least {min}',
+        'money.max': 'The amount cannot exceed {max}',
+        url: 'Please enter a valid URL',
+        minItems: {
+            one: 'Select at least {min} option',
+            other: 'Select at least {min} options'
+        },
+        maxItems: {
+            one: 'Select no more than {max} option',
+            other: 'Select no more than {max} options'
+        },
+        taxId: 'Please enter a valid tax ID',
+        'taxId.country': 'Select a supported country for the tax ID',
+        'taxId.format': 'The {name} format is not valid, e.g. {example}',
+        'taxId.checkDigit': 'The {name} check digit is not valid',
+        nationalId: 'Please enter a valid ID number',
+        'nationalId.type': 'Select the document type',
+        'nationalId.format': 'The {name} format is not valid, e.g. {example}',
+        'nationalId.checkDigit': 'The {name} check digit is not valid',
+        'phone.format': 'Phone numbers may only contain digits, spaces, dashes and parentheses',
+        'phone.region': 'Include the country code, e.g. +1 202 555 0123',
+        'phone.code': 'Unknown country calling code',
+        'phone.length': 'Wrong number of digits for {region}, e.g. {example}',
+        'phone.prefix': 'No {region} phone numbers start like this, e.g. {example}',
+        'phone.mobile': 'Please enter a mobile number',
+        'phone.landline': 'Please enter a landline number',
+        'form.pending': 'Checking…',
+        'form.warningConfirm': 'Please review the warnings before submitting.',
+        'form.submitAnyway': 'Submit anyway',
+        'form.draftFound': 'You have an unsent draft from {date}.',
+        'form.draftRestore': 'Restore draft',
+        'form.draftDiscard': 'Discard',
+        'form.strength': 'Password strength: {strength}',
+        'form.strength.0': 'Very weak',
+        'form.strength.1': 'Weak',
+        'form.strength.2': 'Fair',
+        'form.strength.3': 'Strong',
+        'form.strength.4': 'Very strong',
+        'form.strength.sequence': 'Avoid sequences like abc or 123',
+        'form.strength.keyboard': 'Avoid keyboard patterns like qwerty',
+        'form.strength.repeat': 'Avoid repeated characters',
+        'form.errorSummary': {
+            one: 'There is {count} error in the form',
+            other: 'There are {count} errors in the form'
+        }
+    },
+    es: {
+        required: 'Este campo es obligatorio',
+        minLength: {
+            one: 'Debe tener al menos {length} carácter',
+            other: 'Debe tener al menos {length} caracteres'
+        },
+        maxLength: {
+            one: 'Debe tener como máximo {length} carácter',
+            other: 'Debe tener como máximo {length} caracteres'
+        },
+        email: 'Ingrese un correo electrónico válido',
+        'email.length': 'El correo puede tener como máximo {max} caracteres',
+        'email.localLength': 'La parte antes de @ puede tener como máximo {max} caracteres',
+        'email.plus': 'No se aceptan direcciones con +',
+        'email.domain': 'Use una dirección de {domains}',
+        'email.disposable': 'No se aceptan correos temporales ({domain})',
+        emailSuggestion: '¿Quiso decir {suggestion}?',
+        phone: 'Ingrese un número de teléfono válido',
+        number: 'Ingrese un número válido',
+        min: 'El valor debe ser al menos {value}',
+        max: 'El valor no debe superar {value}',
+        pattern: 'El formato no es válido',
+        password: 'La contraseña debe tener mayúsculas, minúsculas, números, caracteres especiales y al menos 8 caracteres',
+        'password.minLength': 'Use al menos {minLength} caracteres',
+        'password.maxLength': 'Use como máximo {maxLength} caracteres',
+        'password.uppercase': 'Agregue una letra mayúscula',
+        'password.lowercase': 'Agregue una letra minúscula',
+        'password.number': 'Agregue un número',
+        'password.special': 'Agregue un carácter especial',
+        'password.common': 'Esta contraseña es demasiado común',
+        'password.forbidden': 'La contraseña no puede contener "{word}"',
+        'password.similar': 'La contraseña se parece demasiado a {field}',
+        'password.score': 'Elija una contraseña más segura',
+        confirmPassword: 'Las contraseñas no coinciden',
+        age: 'Ingrese una edad válida entre {min} y {max}',
+        'age.min': 'Debe tener al menos {min} años',
+        'age.max': 'La edad no puede superar los {max} años',
+        date: 'Ingrese una fecha válida',
+        'date.min': 'La fecha debe ser el {min} o posterior',
+        'date.max': 'La fecha debe ser el {max} o anterior',
+        'date.after': 'La fecha debe ser posterior al {after}',
+        'date.before': 'La fecha debe ser anterior al {before}',
+        'date.weekday': 'Elija un día {weekdays}',
+        'date.businessDay': 'Elija un día hábil',
+        time: 'Ingrese una hora válida',
+        'time.min': 'La hora debe ser las {min} o más tarde',
+        'time.max': 'La hora debe ser las {max} o más temprano',
+        'time.after': 'La hora debe ser posterior a las {after}',
+        'time.before': 'La hora debe ser anterior a las {before}',
+        dateTime: 'Ingrese una fecha y hora válidas',
+        'dateTime.min': 'Debe ser el {min} o posterior',
+        'dateTime.max': 'Debe ser el {max} o anterior',
+        'dateTime.after': 'Debe ser posterior al {after}',
+        'dateTime.before': 'Debe ser anterior al {before}',
+        'dateTime.weekday': 'Elija un día {weekdays}',
+        'dateTime.businessDay': 'Elija un día hábil',
+        money: 'Ingrese un monto válido',
+        'money.currency': 'Moneda desconocida: {currency}',
+        'money.precision': 'Use como máximo {precision} decimales para {currency}',
+        'money.integer': 'Los montos en {currency} no llevan decimales',
+        'money.negative': 'El monto no puede ser negativo',
+        'money.min': 'El monto debe ser de al menos {min}',
+        'money.max': 'El monto no puede superar {max}',
+        url: 'Ingrese una URL válida',
+        minItems: {
+            one: 'Seleccione al menos {min} opción',
+            other: 'Seleccione al menos {min} opciones'
+        },
+        maxItems: {
+            one: 'Seleccione como máximo {max} opción',
+            other: 'Seleccione como máximo {max} opciones'
+        },
+        taxId: 'Ingrese un número de identificación tributaria válido',
+        'taxId.country': 'Seleccione un país compatible para la identificación tributaria',
+        'taxId.format': 'El formato del {name} no es válido, p. ej. {example}',
+        'taxId.checkDigit': 'El dígito de verificación del {name} no es válido',
+        nationalId: 'Ingrese un número de documento válido',
+        'nationalId.type': 'Seleccione el tipo de documento',
+        'nationalId.format': 'El formato de {name} no es válido, p. ej. {example}',
+        'nationalId.checkDigit': 'El dígito de verificación de {name} no es válido',
+        'phone.format': 'El teléfono solo puede contener dígitos, espacios, guiones y paréntesis',
+        'phone.region': 'Incluya el código de país, p. ej. +57 300 123 4567',
+        'phone.code': 'Código de país desconocido',
+        'phone.length': 'Cantidad de dígitos incorrecta para {region}, p. ej. {example}',
+        'phone.prefix': 'Ningún teléfono de {region} empieza así, p. ej. {example}',
+        'phone.mobile': 'Ingrese un número de celular',
+        'phone.landline': 'Ingrese un número de teléfono fijo',
+        'form.pending': 'Verificando…',
+        'form.warningConfirm': 'Revise las advertencias antes de enviar.',
+        'form.submitAnyway': 'Enviar de todos modos',
+        'form.draftFound': 'Tiene un borrador sin enviar del {date}.',
+        'form.draftRestore': 'Restaurar borrador',
+        'form.draftDiscard': 'Descartar',
+        'form.strength': 'Seguridad de la contraseña: {strength}',
+        'form.strength.0': 'Muy débil',
+        'form.strength.1': 'Débil',
+        'form.strength.2': 'Aceptable',
+        'form.strength.3': 'Fuerte',
+        'form.strength.4': 'Muy fuerte',
+        'form.strength.sequence': 'Evite secuencias como abc o 123',
+        'form.strength.keyboard': 'Evite patrones del teclado como qwerty',
+        'form.strength.repeat': 'Evite caracteres repetidos',
+        'form.errorSummary': {
+            one: 'Hay {count} error en el formulario',
+            other: 'Hay {count} errores en el formulario'
+        }
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageCatalog;
+}
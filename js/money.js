@@ -0,0 +1,216 @@
+/**
+ * Money
+ * Locale-aware parsing of amounts into integer minor units, ISO 4217
+ * currencies and their decimals, and display formatting
+ */
+
+class Money {
+    /**
+     * Parse an amount into minor units (cents for USD, whole pesos for CLP)
+     * @param {string|number|object} value - Amount as typed ('1.000.000,50', '$ 1,000.50',
+     *   'COP 1.500'), a number, or an already parsed { amount, currency }
+     * @param {object} options - Parsing options
+     * @param {string} options.currency - ISO 4217 code; a code typed with the amount must match it
+     * @param {string} options.locale - Locale whose decimal separator settles input
+     *   that is ambiguous for three-decimal currencies: '1.000' KWD is 1000 in 'es', 1 in 'en'
+     * @param {number} options.precision - Decimals allowed, instead of the currency's
+     * @param {string} options.decimal - Decimal separator of the input, instead of the
+     *   locale's: '.' for values unmasked by a currency input mask ('1000.500')
+     * @returns {object} { valid, reason, params }; reason is 'currency', 'format',
+     *   'precision' or 'integer' (decimals in a currency without them), params hold the amount in minor units, the currency and its precision
+     */
+    static parse(value, options = {}) {
+        const parsed = value && typeof value === 'object' ? value : null;
+        const text = parsed ? '' : String(value).trim();
+        const match = parsed ? null : Money.AMOUNT.exec(text);
+
+        const typedCode = match && (match[2] || match[5]) && /^[a-z]{3}$/i.test(match[2] || match[5])
+            ? (match[2] || match[5]).toUpperCase()
+            : null;
+        const currency = options.currency ? String(options.currency).trim().toUpperCase() : (parsed ? parsed.currency : typedCode) || null;
+        const params = { currency };
+
+        if (currency && !Money.isCurrency(currency)) {
+            return { valid: false, reason: 'currency', params };
+        }
+        if ((typedCode && typedCode !== currency) || (parsed && parsed.currency && parsed.currency !== currency)) {
+            return { valid: false, reason: 'currency', params };
+        }
+
+        const precision = options.precision !== undefined ? options.precision : Money.precision(currency);
+        params.precision = precision;
+
+        if (parsed) {
+            if (!Number.isSafeInteger(parsed.amount)) return { valid: false, reason: 'format', params };
+            return { valid: true, reason: null, params: { ...params, amount: parsed.amount } };
+        }
+        const signs = match ? [match[1], match[3], match[6]].filter(Boolean) : [];
+        if (!match || signs.length > 1) {
+            return { valid: false, reason: 'format', params };
+        }
+
+        // Numbers always use '.' for decimals, whatever the locale and currency
+        const digits = match[4].replace(/[\s\u00a0\u202f']/g, '');
+        const parts = typeof value === 'number'
+            ? Money.split(digits, '.', Infinity)
+            : Money.split(digits, options.decimal || Money.separators(options.locale).decimal, precision);
+        if (!parts) {
+            return { valid: false, reason: 'format', params };
+        }
+
+        // Zeros past the currency's decimals change nothing ('1000.00' yen)
+        const fraction = parts.fraction.replace(/0+$/, '');
+        if (fraction.length > precision) {
+            return { valid: false, reason: precision === 0 ? 'integer' : 'precision', params };
+        }
+
+        const amount = Number(parts.integer + fraction.padEnd(precision, '0'));
+        if (!Number.isSafeInteger(amount)) {
+            return { valid: false, reason: 'format', params };
+        }
+
+        const negative = signs.length === 1 && amount !== 0;
+        return { valid: true, reason: null, params: { ...params, amount: negative ? -amount : amount } };
+    }
+
+    /**
+     * Parse an amount and check its sign and range
+     * @param {string|number|object} value - Amount, as for Money.parse
+     * @param {object} options - Money.parse options, plus:
+     * @param {number} options.min - Smallest amount allowed, in major units (1000.5, not cents)
+     * @param {number} options.max - Largest amount allowed, in major units
+     * @param {boolean} options.allowNegative - Accept amounts below zero
+     * @returns {object} { valid, reason, params }; reason is a Money.parse reason,
+     *   'negative', 'min' or 'max'. Failed bounds are in params in minor units.
+     */
+    static validate(value, options = {}) {
+        const outcome = Money.parse(value, options);
+        if (!outcome.valid) return outcome;
+
+        const { amount, precision } = outcome.params;
+        if (!options.allowNegative && amount < 0) {
+            return { valid: false, reason: 'negative', params: outcome.params };
+        }
+
+        const toMinor = major => Math.round(Number(major) * 10 ** precision);
+        if (options.min !== undefined && options.min !== null && amount < toMinor(options.min)) {
+            return { valid: false, reason: 'min', params: { ...outcome.params, min: toMinor(options.min) } };
+        }
+        if (options.max !== undefined && options.max !== null && amount > toMinor(options.max)) {
+            return { valid: false, reason: 'max', params: { ...outcome.params, max: toMinor(options.max) } };
+        }
+        return outcome;
+    }
+
+    /**
+     * Split the digits of an amount into integer and fraction. With both '.'
+     * and ',' the last one is the decimal separator, and a repeated separator
+     * is always for thousands. A lone separator followed by exactly three
+     * digits ('1.000', '1,000') is for thousands too, unless the currency has
+     * three decimals and it is the locale's decimal separator.
+     * @param {string} number - Digits and separators, without spaces
+     * @param {string} decimal - Locale's decimal separator
+     * @param {number} precision - Decimals of the currency
+     * @returns {object|null} { integer, fraction } digit strings, or null if the groups are malformed
+     */
+    static split(number, decimal, precision) {
+        const separators = number.match(/[.,]/g) || [];
+        let point = -1;
+
+        if (new Set(separators).size === 2) {
+            point = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+        } else if (separators.length === 1) {
+            const index = number.indexOf(separators[0]);
+            const thousands = number.length - index - 1 === 3 && (precision < 3 || separators[0] !== decimal);
+            if (!thousands) point = index;
+        }
+
+        const integer = point === -1 ? number : number.slice(0, point);
+        const fraction = point === -1 ? '' : number.slice(point + 1);
+
+        // Thousands groups: one separator character, groups of exactly three digits
+        const group = (integer.match(/[.,]/) || [''])[0];
+        if (/[.,]/.test(fraction) || (group && !new RegExp(`^\\d{1,3}(\\${group}\\d{3})+$`).test(integer))) {
+            return null;
+        }
+        return { integer: integer.replace(/\D/g, '') || '0', fraction };
+    }
+
+    /**
+     * Format an amount for people, in a locale's style
+     * @param {object} money - { amount, currency } with the amount in minor units
+     * @param {string} locale - Locale code, e.g. 'es-CO' for '$ 1.000.000,50'
+     * @returns {string} Formatted amount, without a currency sign when there is no currency
+     */
+    static format(money, locale) {
+        const precision = Money.precision(money.currency);
+        const major = money.amount / 10 ** precision;
+
+        if (typeof Intl === 'undefined') {
+            return `${money.currency ? `${money.currency} ` : ''}${major.toFixed(precision)}`;
+        }
+
+        const options = { minimumFractionDigits: precision, maximumFractionDigits: precision };
+        if (money.currency) Object.assign(options, { style: 'currency', currency: money.currency });
+        return new Intl.NumberFormat(locale, options).format(major);
+    }
+
+    /**
+     * Decimal and thousands separators of a locale
+     * @param {string} locale - Locale code
+     * @returns {object} { decimal, group }
+     */
+    static separators(locale) {
+        if (typeof Intl === 'undefined') return { decimal: '.', group: ',' };
+
+        const parts = new Intl.NumberFormat(locale).formatToParts(1000000.5);
+        const find = type => (parts.find(part => part.type === type) || {}).value;
+        return { decimal: find('decimal') || '.', group: find('group') || ',' };
+    }
+
+    /**
+     * Whether a code is an ISO 4217 currency
+     * @param {string} code - Uppercase three-letter code
+     * @returns {boolean} True for currencies in Money.CURRENCIES or known to Intl
+     */
+    static isCurrency(code) {
+        if (Object.prototype.hasOwnProperty.call(Money.CURRENCIES, code)) return true;
+        return typeof Intl !== 'undefined' && typeof Intl.supportedValuesOf === 'function' &&
+            Intl.supportedValuesOf('currency').includes(code);
+    }
+
+    /**
+     * Number of decimals (minor unit digits) of a currency
+     * @param {string|null} currency - ISO 4217 code, or null for plain amounts
+     * @returns {number} 0 for CLP or JPY, 3 for KWD, 2 otherwise
+     */
+    static precision(currency) {
+        if (currency && Object.prototype.hasOwnProperty.call(Money.CURRENCIES, currency)) {
+            return Money.CURRENCIES[currency];
+        }
+        if (currency && typeof Intl !== 'undefined') {
+            try {
+                return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+            } catch {
+                return 2;
+            }
+        }
+        return 2;
+    }
+}
+
+// Sign, currency sign or code, digits with separators, currency sign or code, sign:
+// '-$1.000', '$ -1.000', 'COP 1.000,50', 'S/ 250', '1 000,50 €', '1,000.50-'
+Money.AMOUNT = /^([-\u2212])?\s*((?:[A-Z]{1,3})?\p{Sc}|S\/|[A-Z]{3})?\s*([-\u2212])?\s*(\d(?:[\d.,\s\u00a0\u202f']*\d)?)\s*(\p{Sc}|[A-Z]{3})?\s*([-\u2212])?$/iu;
+
+// ISO 4217 minor units of common currencies; other codes fall back to Intl
+Money.CURRENCIES = {
+    ARS: 2, BOB: 2, BRL: 2, CAD: 2, CHF: 2, CLP: 0, CNY: 2, COP: 2, CRC: 2, DOP: 2,
+    EUR: 2, GBP: 2, GTQ: 2, HNL: 2, JPY: 0, KRW: 0, KWD: 3, MXN: 2, NIO: 2, PAB: 2,
+    PEN: 2, PYG: 0, USD: 2, UYU: 2, VES: 2
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+}
@@ -0,0 +1,222 @@
+/**
+ * National IDs
+ * Format and checksum validation of personal identity documents
+ */
+
+class NationalId {
+    /**
+     * Validate an identity document number
+     * @param {string} value - Document number, with or without dots, dashes and spaces
+     * @param {string} documentType - Key of NationalId.TYPES, e.g. 'BR_CPF' or 'ES_NIE'
+     * @returns {object} { valid, reason, params }; reason is 'type', 'format' or
+     *   'checkDigit', params hold the document's name and an example for messages
+     */
+    static validate(value, documentType) {
+        const type = String(documentType || '').trim().toUpperCase();
+        const definition = NationalId.TYPES[type];
+        if (!definition) {
+            return { valid: false, reason: 'type', params: { documentType: type } };
+        }
+
+        const params = { name: definition.name, example: definition.example, documentType: type };
+        const id = NationalId.normalize(value);
+
+        if (!definition.format.test(id) || (definition.valid && !definition.valid(id))) {
+            return { valid: false, reason: 'format', params };
+        }
+        if (definition.checkDigit && !definition.checkDigit(id)) {
+            return { valid: false, reason: 'checkDigit', params };
+        }
+        return { valid: true, reason: null, params };
+    }
+
+    /**
+     * Strip separators and uppercase, so '529.982.247-25' becomes '52998224725'
+     * @param {string} value - Document number as typed
+     * @returns {string} Normalized number
+     */
+    static normalize(value) {
+        return String(value).replace(/[\s.\-/]/g, '').toUpperCase();
+    }
+
+    /**
+     * Whether a YYMMDD string is a real calendar date (CURP and RFC embed one)
+     * @param {string} yymmdd - Six digits
+     * @returns {boolean} True if the month has that day
+     */
+    static isDate(yymmdd) {
+        const month = Number(yymmdd.slice(2, 4));
+        const day = Number(yymmdd.slice(4, 6));
+        // Leap years repeat every 4 years within a century; 2000 was one
+        const daysInMonth = new Date(Date.UTC(2000 + Number(yymmdd.slice(0, 2)), month, 0)).getUTCDate();
+        return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth;
+    }
+
+    /**
+     * Brazilian CPF/CNPJ check digits: mod 11 over decreasing weights
+     * @param {string} digits - Digits before the check digit
+     * @param {array} weights - One weight per digit
+     * @returns {number} Check digit
+     */
+    static brazilCheckDigit(digits, weights) {
+        const remainder = Array.from(digits).reduce((sum, digit, index) => sum + Number(digit) * weights[index], 0) % 11;
+        return remainder < 2 ? 0 : 11 - remainder;
+    }
+
+    /**
+     * Mexican CURP check digit: character values weighted 18..2, mod 10
+     * @param {string} curp - 18-character CURP
+     * @returns {boolean} True if the last digit matches
+     */
+    static curpValid(curp) {
+        const alphabet = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+        const sum = Array.from(curp.slice(0, 17)).reduce((total, char, index) => total + alphabet.indexOf(char) * (18 - index), 0);
+        return (10 - (sum % 10)) % 10 === Number(curp[17]);
+    }
+
+    /**
+     * Mexican RFC check digit (SAT). Company RFCs have 12 characters and are
+     * padded with a leading space; the generic RFCs for the public and for
+     * foreigners are always valid.
+     * @param {string} rfc - 12 or 13-character RFC
+     * @returns {boolean} True if the last character matches
+     */
+    static rfcValid(rfc) {
+        if (rfc === 'XAXX010101000' || rfc === 'XEXX010101000') return true;
+
+        const alphabet = '0123456789ABCDEFGHIJKLMN&OPQRSTUVWXYZ Ñ';
+        const body = rfc.padStart(13, ' ').slice(0, 12);
+        const sum = Array.from(body).reduce((total, char, index) => total + alphabet.indexOf(char) * (13 - index), 0);
+        const result = 11 - (sum % 11);
+        const expected = result === 11 ? '0' : (result === 10 ? 'A' : String(result));
+        return expected === rfc.slice(-1);
+    }
+
+    /**
+     * Spanish DNI letter: the number mod 23 indexes a fixed letter table
+     * @param {string} number - DNI digits (NIE prefix already replaced)
+     * @returns {string} Control letter
+     */
+    static spainLetter(number) {
+        return 'TRWAGMYFPDXBNJZSQVHLCKE'[Number(number) % 23];
+    }
+
+    /**
+     * Spanish CIF control character. Some organization types always use a
+     * letter, others always a digit, the rest accept either.
+     * @param {string} cif - 9-character CIF
+     * @returns {boolean} True if the control character matches
+     */
+    static cifValid(cif) {
+        const digits = Array.from(cif.slice(1, 8), Number);
+        const sum = digits.reduce((total, digit, index) => {
+            if (index % 2 === 1) return total + digit;
+            const doubled = digit * 2;
+            return total + Math.floor(doubled / 10) + (doubled % 10);
+        }, 0);
+        const control = (10 - (sum % 10)) % 10;
+        const letter = 'JABCDEFGHI'[control];
+        const given = cif[8];
+
+        if ('KPQRSNW'.includes(cif[0])) return given === letter;
+        if ('ABEH'.includes(cif[0])) return given === String(control);
+        return given === letter || given === String(control);
+    }
+
+    /**
+     * Chilean RUN check digit, the same mod 11 as the RUT: uses TaxId.rutCheckDigit
+     * @param {string} run - RUN with its check digit
+     * @returns {boolean} True if the check digit matches
+     */
+    static runValid(run) {
+        const TaxIds = typeof TaxId !== 'undefined' ? TaxId : (typeof require === 'function' ? require('./tax-id.js') : null);
+        if (!TaxIds) {
+            throw new Error('The CL_RUN check digit needs js/tax-id.js');
+        }
+        return TaxIds.rutCheckDigit(run.slice(0, -1)) === run.slice(-1);
+    }
+}
+
+// Supported documents: display name, example, format of the normalized number,
+// extra format checks (valid) and checksum (checkDigit, absent when there is none)
+NationalId.TYPES = {
+    BR_CPF: {
+        name: 'CPF',
+        example: '529.982.247-25',
+        format: /^\d{11}$/,
+        valid: id => !/^(\d)\1+$/.test(id),
+        checkDigit: id => NationalId.brazilCheckDigit(id.slice(0, 9), [10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(id[9]) &&
+            NationalId.brazilCheckDigit(id.slice(0, 10), [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(id[10])
+    },
+    BR_CNPJ: {
+        name: 'CNPJ',
+        example: '11.222.333/0001-81',
+        format: /^\d{14}$/,
+        valid: id => !/^(\d)\1+$/.test(id),
+        checkDigit: id => NationalId.brazilCheckDigit(id.slice(0, 12), [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(id[12]) &&
+            NationalId.brazilCheckDigit(id.slice(0, 13), [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(id[13])
+    },
+    MX_CURP: {
+        name: 'CURP',
+        example: 'PXNE660720HMCXTN06',
+        // Name letters, birth date, sex, state, consonants, homonym character, check digit
+        format: /^[A-Z][AEIOUX][A-Z]{2}\d{6}[HMX](AS|BC|BS|CC|CL|CM|CS|CH|DF|DG|GT|GR|HG|JC|MC|MN|MS|NT|NL|OC|PL|QT|QR|SP|SL|SR|TC|TS|TL|VZ|YN|ZS|NE)[B-DF-HJ-NP-TV-Z]{3}[A-Z\d]\d$/,
+        valid: id => NationalId.isDate(id.slice(4, 10)),
+        checkDigit: id => NationalId.curpValid(id)
+    },
+    MX_RFC: {
+        name: 'RFC',
+        example: 'GODE561231GR8',
+        // 4 letters for people, 3 for companies, then the date and the homoclave
+        format: /^[A-ZÑ&]{3,4}\d{6}[A-Z\d]{2}[A\d]$/,
+        valid: id => NationalId.isDate(id.slice(-9, -3)),
+        checkDigit: id => NationalId.rfcValid(id)
+    },
+    ES_DNI: {
+        name: 'DNI',
+        example: '12345678Z',
+        format: /^\d{8}[A-Z]$/,
+        checkDigit: id => NationalId.spainLetter(id.slice(0, 8)) === id[8]
+    },
+    ES_NIE: {
+        name: 'NIE',
+        example: 'X1234567L',
+        format: /^[XYZ]\d{7}[A-Z]$/,
+        checkDigit: id => NationalId.spainLetter('XYZ'.indexOf(id[0]) + id.slice(1, 8)) === id[8]
+    },
+    ES_CIF: {
+        name: 'CIF',
+        example: 'A58818501',
+        format: /^[ABCDEFGHJNPQRSUVW]\d{7}[\dA-J]$/,
+        checkDigit: id => NationalId.cifValid(id)
+    },
+    AR_DNI: {
+        name: 'DNI',
+        example: '30.123.456',
+        // No check digit
+        format: /^\d{7,8}$/
+    },
+    CO_CC: {
+        name: 'cédula',
+        example: '1.020.304.050',
+        // No check digit
+        format: /^\d{6,10}$/
+    },
+    CL_RUN: {
+        name: 'RUN',
+        example: '12.345.678-5',
+        format: /^\d{7,8}[\dK]$/,
+        checkDigit: id => NationalId.runValid(id)
+    },
+    PASSPORT: {
+        name: 'passport',
+        example: 'AB1234567',
+        // Issuer-specific; only the common length and alphabet are checked
+        format: /^[A-Z\d]{6,9}$/
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NationalId;
+}
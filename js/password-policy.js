@@ -0,0 +1,245 @@
+/**
+ * Password Policy
+ * Composition requirements, pattern detection and entropy-based strength scoring
+ */
+
+class PasswordPolicy {
+    /**
+     * Check a password against a policy
+     * @param {string} value - Password
+     * @param {object} options - Policy; see PasswordPolicy.DEFAULTS. options.policy
+     *   picks a preset from PasswordPolicy.PRESETS that the other options override
+     * @param {object} formData - Form data, for options.similarTo
+     * @returns {object} { valid, reason, params }; reason is the first failed
+     *   requirement, params hold every failed one (failed), the composition
+     *   requirements checked (requirements), detected patterns, entropy and score (0-4)
+     */
+    static evaluate(value, options = {}, formData = {}) {
+        const policy = { ...PasswordPolicy.DEFAULTS, ...PasswordPolicy.PRESETS[options.policy], ...options };
+        const password = String(value);
+        const analysis = PasswordPolicy.analyze(password);
+        const params = {
+            minLength: policy.minLength,
+            maxLength: policy.maxLength,
+            score: analysis.score,
+            entropy: Math.round(analysis.entropy),
+            patterns: analysis.patterns,
+            requirements: [],
+            failed: []
+        };
+
+        const check = (requirement, passed, composition = false) => {
+            if (composition) params.requirements.push(requirement);
+            if (!passed) params.failed.push(requirement);
+        };
+
+        check('minLength', password.length >= policy.minLength, true);
+        if (policy.maxLength) check('maxLength', password.length <= policy.maxLength, true);
+        if (policy.requireUppercase) check('uppercase', /\p{Lu}/u.test(password), true);
+        if (policy.requireLowercase) check('lowercase', /\p{Ll}/u.test(password), true);
+        if (policy.requireNumbers) check('number', /\d/.test(password), true);
+        if (policy.requireSpecialChars) check('special', /[^\p{L}\p{N}\s]/u.test(password), true);
+
+        if (!policy.allowCommon) check('common', !analysis.common);
+
+        const word = [].concat(policy.forbiddenWords).find(entry => entry && password.toLowerCase().includes(String(entry).toLowerCase()));
+        check('forbidden', !word);
+        if (word) params.word = word;
+
+        const field = [].concat(policy.similarTo).find(name => PasswordPolicy.isSimilar(password, formData[name]));
+        check('similar', !field);
+        if (field) params.field = field;
+
+        // Words an attacker can guess from the form make the password weak at best
+        if (word || field) params.score = Math.min(params.score, 1);
+
+        check('score', analysis.score >= policy.minScore);
+
+        return { valid: params.failed.length === 0, reason: params.failed[0] || null, params };
+    }
+
+    /**
+     * Estimate how hard a password is to guess. Each character is worth
+     * log2(size of the character classes used); sequences, keyboard runs and
+     * repeats are worth one character plus the choice of their length, and
+     * common passwords only their rank in the list.
+     * @param {string} password - Password
+     * @returns {object} { entropy, score, patterns, common }
+     */
+    static analyze(password) {
+        const pool = PasswordPolicy.poolSize(password);
+        const bitsPerChar = pool > 0 ? Math.log2(pool) : 0;
+        const lower = password.toLowerCase();
+        const matches = PasswordPolicy.findPatterns(lower);
+
+        const covered = new Set();
+        let entropy = 0;
+        matches.forEach(match => {
+            entropy += bitsPerChar + Math.log2(match.length);
+            for (let i = match.start; i < match.start + match.length; i++) covered.add(i);
+        });
+        entropy += (password.length - covered.size) * bitsPerChar;
+
+        const common = PasswordPolicy.findCommon(lower);
+        if (common) {
+            const extra = password.length - common.word.length;
+            entropy = Math.min(entropy, Math.log2(common.rank + 2) + extra * bitsPerChar);
+        }
+
+        const score = PasswordPolicy.SCORE_THRESHOLDS.filter(bits => entropy >= bits).length;
+        const patterns = Array.from(new Set(matches.map(match => match.type)));
+
+        return { entropy, score, patterns, common: Boolean(common) };
+    }
+
+    /**
+     * Number of symbols an attacker has to try per character, from the
+     * character classes present
+     * @param {string} password - Password
+     * @returns {number} Pool size
+     */
+    static poolSize(password) {
+        let size = 0;
+        if (/[a-z]/.test(password)) size += 26;
+        if (/[A-Z]/.test(password)) size += 26;
+        if (/\d/.test(password)) size += 10;
+        if (/[^a-zA-Z\d\s\u0080-\uffff]/.test(password)) size += 33;
+        if (/\s/.test(password)) size += 1;
+        if (/[\u0080-\uffff]/.test(password)) size += 100;
+        return size;
+    }
+
+    /**
+     * Find predictable runs: 'aaa' and 'abab' (repeat), 'abc' and '987'
+     * (sequence) and adjacent keys such as 'qwer' or 'asdf' (keyboard)
+     * @param {string} text - Lowercased password
+     * @returns {array} Non-overlapping { type, start, length }, in order
+     */
+    static findPatterns(text) {
+        const found = [];
+
+        // Repeated characters or blocks
+        const repeats = /(.+?)\1{2,}|(.{2,}?)\2+/g;
+        let match;
+        while ((match = repeats.exec(text)) !== null) {
+            found.push({ type: 'repeat', start: match.index, length: match[0].length });
+        }
+
+        // Keyboard rows, forwards and backwards
+        PasswordPolicy.KEYBOARD_ROWS.forEach(row => {
+            [row, Array.from(row).reverse().join('')].forEach(line => {
+                for (let start = 0; start < text.length; start++) {
+                    let length = 0;
+                    while (start + length < text.length && line.includes(text.slice(start, start + length + 1))) length++;
+                    if (length >= 4) {
+                        found.push({ type: 'keyboard', start, length });
+                        start += length - 1;
+                    }
+                }
+            });
+        });
+
+        // Alphabet and digit sequences with a step of +1 or -1
+        for (let start = 0; start < text.length - 2; start++) {
+            const step = text.charCodeAt(start + 1) - text.charCodeAt(start);
+            if (Math.abs(step) !== 1 || !/[a-z\d]/.test(text[start])) continue;
+
+            let end = start + 1;
+            while (end + 1 < text.length && text.charCodeAt(end + 1) - text.charCodeAt(end) === step && /[a-z\d]/.test(text[end + 1])) end++;
+            if (end - start >= 2) {
+                found.push({ type: 'sequence', start, length: end - start + 1 });
+                start = end;
+            }
+        }
+
+        // Keep the longest match where they overlap
+        const kept = [];
+        found.sort((a, b) => b.length - a.length).forEach(candidate => {
+            const overlaps = kept.some(other => candidate.start < other.start + other.length && other.start < candidate.start + candidate.length);
+            if (!overlaps) kept.push(candidate);
+        });
+        return kept.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Look a password up in the common password list, also as l33t speak and
+     * with digits or symbols appended ('P@ssw0rd2024!' is 'password')
+     * @param {string} text - Lowercased password
+     * @returns {object|null} { word, rank } of the list entry, or null
+     */
+    static findCommon(text) {
+        const unleet = word => word.replace(/[@4]/g, 'a').replace(/3/g, 'e').replace(/[1!|]/g, 'i').replace(/0/g, 'o').replace(/[$5]/g, 's').replace(/7/g, 't');
+        const base = text.replace(/[\d\W_]+$/, '');
+        const candidates = [text, base, unleet(text), unleet(base)];
+
+        for (const candidate of candidates) {
+            const rank = PasswordPolicy.COMMON_PASSWORDS.indexOf(candidate);
+            if (candidate && rank !== -1) return { word: candidate, rank };
+        }
+        return null;
+    }
+
+    /**
+     * Whether a password contains another field's value or one of its words,
+     * such as the user name or the part of an email before the @
+     * @param {string} password - Password
+     * @param {any} other - Value of the other field
+     * @returns {boolean} True if a word of 4+ characters appears in the password
+     */
+    static isSimilar(password, other) {
+        if (typeof other !== 'string' || other.trim() === '') return false;
+
+        const text = password.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        const value = other.toLowerCase().split('@')[0];
+        const words = [value.replace(/[^\p{L}\p{N}]/gu, ''), ...value.split(/[^\p{L}\p{N}]+/u)];
+
+        return words.some(word => word.length >= 4 && (text.includes(word) || (text.length >= 4 && word.includes(text))));
+    }
+}
+
+// Policy used when a rule does not say otherwise
+PasswordPolicy.DEFAULTS = {
+    minLength: 8,
+    maxLength: null,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumbers: true,
+    requireSpecialChars: true,
+    allowCommon: false,
+    forbiddenWords: [],
+    similarTo: [],
+    minScore: 0
+};
+
+// Named policies for params.policy
+PasswordPolicy.PRESETS = {
+    strong: { minLength: 12, minScore: 3 }
+};
+
+// Entropy in bits needed for scores 1 (weak) to 4 (very strong)
+PasswordPolicy.SCORE_THRESHOLDS = [28, 36, 60, 80];
+
+PasswordPolicy.KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'azertyuiop', 'qwertzuiop'];
+
+// Most used passwords from public breach compilations, most common first
+PasswordPolicy.COMMON_PASSWORDS = [
+    'password', '123456', '12345678', '123456789', 'qwerty', '12345', '1234567890',
+    '1234567', 'abc123', 'password1', 'iloveyou', '111111', '123123', 'admin',
+    'welcome', 'monkey', 'login', 'dragon', 'letmein', 'football', 'baseball',
+    'sunshine', 'princess', 'master', 'shadow', 'superman', 'qwertyuiop', 'trustno1',
+    'starwars', 'whatever', 'passw0rd', 'hello', 'freedom', 'charlie', 'michael',
+    'jennifer', 'jordan', 'hunter', 'ashley', 'bailey', 'access', 'mustang', 'batman',
+    'soccer', 'hockey', 'killer', 'pepper', 'ginger', 'cookie', 'secret', 'summer',
+    'flower', 'loveme', 'computer', 'internet', 'samsung', 'google', 'pokemon',
+    'asdfgh', 'zxcvbnm', 'qazwsx', '654321', '666666', '121212', '000000',
+    'contraseña', 'contrasena', 'clave', 'hola', 'holamundo', 'teamo', 'tequiero',
+    'futbol', 'mexico', 'colombia', 'argentina', 'chile', 'peru', 'españa', 'espana',
+    'barcelona', 'madrid', 'america', 'bocajuniors', 'riverplate', 'millonarios',
+    'nacional', 'administrador', 'usuario', 'bienvenido', 'empresa', 'changeme',
+    'default', 'root', 'test', 'guest', 'qwerty123', 'password123', 'abcd1234'
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordPolicy;
+}
@@ -0,0 +1,292 @@
+/**
+ * Phone Numbers
+ * Parsing, validation and E.164 normalization from per-country numbering plans
+ */
+
+class PhoneNumber {
+    /**
+     * Parse a phone number
+     * @param {string} value - Number as typed, in international (+57 300...) or national format
+     * @param {string} defaultRegion - ISO 3166-1 alpha-2 code used when the number has no '+'
+     * @returns {object} { valid, reason, params }; reason is 'format', 'region', 'code',
+     *   'length' or 'prefix', params hold the region, e164, detected type and an example
+     */
+    static parse(value, defaultRegion) {
+        let digits = String(value).trim().replace(/[\s.\-()/]/g, '');
+        let region = PhoneNumber.resolveRegion(defaultRegion);
+
+        if (!/^(\+|00)?\d+$/.test(digits)) {
+            return { valid: false, reason: 'format', params: { region } };
+        }
+
+        let number;
+        if (/^(\+|00)/.test(digits)) {
+            digits = digits.replace(/^(\+|00)/, '');
+            region = PhoneNumber.regionForNumber(digits);
+            if (!region) {
+                return { valid: false, reason: 'code', params: { region: null } };
+            }
+            number = digits.slice(PhoneNumber.REGIONS[region].code.length);
+        } else if (region) {
+            number = digits;
+            // The calling code typed without '+', or dropped by an input mask
+            const { code, lengths } = PhoneNumber.REGIONS[region];
+            if (!lengths.includes(number.length) && number.startsWith(code) && lengths.includes(number.length - code.length)) {
+                number = number.slice(code.length);
+            }
+        } else {
+            return { valid: false, reason: 'region', params: { region: String(defaultRegion || '').trim().toUpperCase() } };
+        }
+
+        const metadata = PhoneNumber.REGIONS[region];
+        const params = { region, example: metadata.example };
+
+        // "+44 (0)20..." and "020..." both drop the trunk prefix
+        if (metadata.nationalPrefix && number.startsWith(metadata.nationalPrefix)) {
+            number = number.slice(metadata.nationalPrefix.length);
+        }
+
+        if (!metadata.lengths.includes(number.length)) {
+            return { valid: false, reason: 'length', params };
+        }
+
+        const type = Object.keys(metadata.types).find(name => metadata.types[name].test(number));
+        if (!type) {
+            return { valid: false, reason: 'prefix', params };
+        }
+
+        return { valid: true, reason: null, params: { ...params, type, e164: `+${metadata.code}${number}` } };
+    }
+
+    /**
+     * Normalize a region code, mapping aliases such as 'UK'
+     * @param {string} region - Region code in any case
+     * @returns {string|null} Key of PhoneNumber.REGIONS, or null if unsupported
+     */
+    static resolveRegion(region) {
+        const code = String(region || '').trim().toUpperCase();
+        const resolved = PhoneNumber.ALIASES[code] || code;
+        return PhoneNumber.REGIONS[resolved] ? resolved : null;
+    }
+
+    /**
+     * Find the region of an international number from its calling code.
+     * Regions sharing a code (US and CA) are told apart by leadingDigits;
+     * the region without them takes the rest.
+     * @param {string} digits - Number without the leading '+' or '00'
+     * @returns {string|null} Region code, or null for unknown calling codes
+     */
+    static regionForNumber(digits) {
+        // Calling codes are prefix-free, so at most one length matches
+        for (let length = 1; length <= 3; length++) {
+            const code = digits.slice(0, length);
+            const regions = Object.keys(PhoneNumber.REGIONS).filter(region => PhoneNumber.REGIONS[region].code === code);
+            if (regions.length > 0) {
+                const national = digits.slice(length);
+                return regions.find(region => PhoneNumber.REGIONS[region].leadingDigits &&
+                    PhoneNumber.REGIONS[region].leadingDigits.test(national)) ||
+                    regions.find(region => !PhoneNumber.REGIONS[region].leadingDigits);
+            }
+        }
+        return null;
+    }
+}
+
+// Numbering plans: calling code, trunk prefix dialled nationally, valid lengths of
+// the national number and one pattern per type, tried in order. Mobile and
+// landline ranges that cannot be told apart are 'fixedOrMobile'. leadingDigits
+// picks the region among those sharing a calling code.
+PhoneNumber.REGIONS = {
+    CO: {
+        code: '57',
+        nationalPrefix: '',
+        lengths: [10, 11],
+        example: '+57 300 123 4567',
+        types: {
+            mobile: /^3\d{9}$/,
+            landline: /^60[1-8]\d{7}$/,
+            tollFree: /^1800\d{7}$/
+        }
+    },
+    CL: {
+        code: '56',
+        nationalPrefix: '',
+        lengths: [9],
+        example: '+56 9 6123 4567',
+        types: {
+            mobile: /^9\d{8}$/,
+            landline: /^[2-7]\d{8}$/,
+            tollFree: /^800\d{6}$/
+        }
+    },
+    PE: {
+        code: '51',
+        nationalPrefix: '0',
+        lengths: [8, 9],
+        example: '+51 912 345 678',
+        types: {
+            mobile: /^9\d{8}$/,
+            // Lima (1) and two-digit provincial area codes
+            landline: /^(1|[4-8]\d)\d{6}$/,
+            tollFree: /^800\d{5}$/
+        }
+    },
+    EC: {
+        code: '593',
+        nationalPrefix: '0',
+        lengths: [8, 9, 10],
+        example: '+593 99 123 4567',
+        types: {
+            mobile: /^9\d{8}$/,
+            landline: /^[2-7]\d{7}$/,
+            tollFree: /^1800\d{6}$/
+        }
+    },
+    AR: {
+        code: '54',
+        nationalPrefix: '0',
+        lengths: [10, 11],
+        example: '+54 9 11 2345 6789',
+        types: {
+            // Mobiles take a 9 before the area code when dialled from abroad;
+            // without it they look like landlines
+            mobile: /^9[1-3]\d{9}$/,
+            landline: /^[1-3]\d{9}$/,
+            tollFree: /^800\d{7}$/
+        }
+    },
+    MX: {
+        code: '52',
+        nationalPrefix: '',
+        lengths: [10],
+        example: '+52 55 1234 5678',
+        types: {
+            tollFree: /^800\d{7}$/,
+            // Since 2019 mobiles and landlines share the 10-digit plan
+            fixedOrMobile: /^[1-9]\d{9}$/
+        }
+    },
+    BR: {
+        code: '55',
+        nationalPrefix: '0',
+        lengths: [10, 11],
+        example: '+55 11 91234 5678',
+        types: {
+            tollFree: /^800\d{6,7}$/,
+            // Two-digit area code, then 9 + 8 digits for mobiles or 8 digits for landlines
+            mobile: /^[1-9][1-9]9\d{8}$/,
+            landline: /^[1-9][1-9][2-5]\d{7}$/
+        }
+    },
+    ES: {
+        code: '34',
+        nationalPrefix: '',
+        lengths: [9],
+        example: '+34 612 34 56 78',
+        types: {
+            mobile: /^[67]\d{8}$/,
+            landline: /^[89][1-8]\d{7}$/,
+            tollFree: /^[89]00\d{6}$/
+        }
+    },
+    US: {
+        code: '1',
+        nationalPrefix: '1',
+        lengths: [10],
+        example: '+1 202 555 0123',
+        types: {
+            tollFree: /^8(00|33|44|55|66|77|88)[2-9]\d{6}$/,
+            fixedOrMobile: /^[2-9]\d{2}[2-9]\d{6}$/
+        }
+    },
+    CA: {
+        code: '1',
+        nationalPrefix: '1',
+        lengths: [10],
+        // Canadian area codes; the rest of +1 is treated as US
+        leadingDigits: /^(204|226|236|249|250|263|289|306|343|354|365|367|368|382|403|416|418|428|431|437|438|450|468|474|506|514|519|548|579|581|584|587|604|613|639|647|672|683|705|709|742|753|778|780|782|807|819|825|867|873|879|902|905)/,
+        example: '+1 416 555 0123',
+        types: {
+            tollFree: /^8(00|33|44|55|66|77|88)[2-9]\d{6}$/,
+            fixedOrMobile: /^[2-9]\d{2}[2-9]\d{6}$/
+        }
+    },
+    GB: {
+        code: '44',
+        nationalPrefix: '0',
+        lengths: [9, 10],
+        example: '+44 7400 123456',
+        types: {
+            mobile: /^7[1-57-9]\d{8}$/,
+            landline: /^[12]\d{8,9}$/,
+            tollFree: /^80[08]\d{6,7}$/
+        }
+    },
+    DE: {
+        code: '49',
+        nationalPrefix: '0',
+        lengths: [7, 8, 9, 10, 11],
+        example: '+49 1512 3456789',
+        types: {
+            mobile: /^1[5-7]\d{8,9}$/,
+            tollFree: /^800\d{7}$/,
+            // Area codes and subscriber numbers both vary in length
+            landline: /^[2-9]\d{6,10}$/
+        }
+    },
+    FR: {
+        code: '33',
+        nationalPrefix: '0',
+        lengths: [9],
+        example: '+33 6 12 34 56 78',
+        types: {
+            mobile: /^[67]\d{8}$/,
+            landline: /^[1-59]\d{8}$/,
+            tollFree: /^80\d{7}$/
+        }
+    },
+    AU: {
+        code: '61',
+        nationalPrefix: '0',
+        lengths: [9, 10],
+        example: '+61 412 345 678',
+        types: {
+            mobile: /^4\d{8}$/,
+            landline: /^[2378]\d{8}$/,
+            tollFree: /^1800\d{6}$/
+        }
+    },
+    JP: {
+        code: '81',
+        nationalPrefix: '0',
+        lengths: [9, 10],
+        example: '+81 90 1234 5678',
+        types: {
+            mobile: /^[789]0\d{8}$/,
+            tollFree: /^120\d{6}$/,
+            landline: /^[1-9]\d{8}$/
+        }
+    },
+    IN: {
+        code: '91',
+        nationalPrefix: '0',
+        lengths: [10],
+        example: '+91 98765 43210',
+        types: {
+            // Some metro landline areas overlap the mobile ranges
+            mobile: /^[6-9]\d{9}$/,
+            landline: /^[1-5]\d{9}$/,
+            tollFree: /^1800\d{6}$/
+        }
+    }
+};
+
+// Common non-ISO spellings of supported regions
+PhoneNumber.ALIASES = {
+    UK: 'GB'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhoneNumber;
+}
@@ -0,0 +1,158 @@
+/**
+ * Tax IDs
+ * Format and check-digit validation of Latin American tax identification numbers
+ */
+
+class TaxId {
+    /**
+     * Validate a tax ID for a country
+     * @param {string} value - Tax ID, with or without dots, dashes and spaces
+     * @param {string} country - ISO 3166-1 alpha-2 code: 'CO', 'CL', 'PE', 'EC' or 'AR'
+     * @returns {object} { valid, reason, params }; reason is 'country', 'format' or
+     *   'checkDigit', params hold the ID's name and an example for messages
+     */
+    static validate(value, country) {
+        const code = String(country || '').trim().toUpperCase();
+        const definition = TaxId.COUNTRIES[code];
+        if (!definition) {
+            return { valid: false, reason: 'country', params: { country: code } };
+        }
+
+        const params = { name: definition.name, example: definition.example, country: code };
+        const id = TaxId.normalize(value);
+
+        if (!definition.format.test(id)) {
+            return { valid: false, reason: 'format', params };
+        }
+        if (!definition.checkDigit(id)) {
+            return { valid: false, reason: 'checkDigit', params };
+        }
+        return { valid: true, reason: null, params };
+    }
+
+    /**
+     * Strip separators and uppercase, so '12.345.678-k' becomes '12345678K'
+     * @param {string} value - Tax ID as typed
+     * @returns {string} Normalized tax ID
+     */
+    static normalize(value) {
+        return String(value).replace(/[\s.\-/]/g, '').toUpperCase();
+    }
+
+    /**
+     * Weighted sum of digits, pairing weights with digits from the left
+     * @param {string} digits - Digits to weigh
+     * @param {array} weights - One weight per digit
+     * @returns {number} Sum of digit * weight
+     */
+    static weightedSum(digits, weights) {
+        return Array.from(digits).reduce((sum, digit, index) => sum + Number(digit) * weights[index], 0);
+    }
+
+    /**
+     * Colombian NIT check digit (DIAN): prime weights from the rightmost digit, mod 11
+     * @param {string} body - NIT without its check digit
+     * @returns {number} Check digit
+     */
+    static nitCheckDigit(body) {
+        const weights = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+        const reversed = Array.from(body).reverse().join('');
+        const remainder = TaxId.weightedSum(reversed, weights) % 11;
+        return remainder > 1 ? 11 - remainder : remainder;
+    }
+
+    /**
+     * Chilean RUT check digit: weights 2..7 from the rightmost digit, mod 11
+     * @param {string} body - RUT without its check digit
+     * @returns {string} '0'-'9' or 'K'
+     */
+    static rutCheckDigit(body) {
+        const reversed = Array.from(body).reverse().join('');
+        const weights = Array.from(reversed, (digit, index) => 2 + (index % 6));
+        const result = 11 - (TaxId.weightedSum(reversed, weights) % 11);
+        if (result === 11) return '0';
+        if (result === 10) return 'K';
+        return String(result);
+    }
+
+    /**
+     * Mod 11 complement shared by Peruvian RUC and Argentine CUIT, which map
+     * its 10 and 11 results differently
+     * @param {string} body - First 10 digits
+     * @returns {number} 11 - (weighted sum mod 11), from 1 to 11
+     */
+    static mod11Complement(body) {
+        return 11 - (TaxId.weightedSum(body, [5, 4, 3, 2, 7, 6, 5, 4, 3, 2]) % 11);
+    }
+
+    /**
+     * Ecuadorian RUC check digit. The third digit tells the algorithm: 0-5 natural
+     * persons (cédula, mod 10), 6 public entities and 9 private companies (mod 11)
+     * @param {string} id - 13-digit RUC
+     * @returns {boolean} True if the check digit and establishment number are valid
+     */
+    static ecuadorRucValid(id) {
+        const type = Number(id[2]);
+
+        if (type < 6) {
+            const sum = Array.from(id.slice(0, 9)).reduce((total, digit, index) => {
+                const product = Number(digit) * (index % 2 === 0 ? 2 : 1);
+                return total + (product > 9 ? product - 9 : product);
+            }, 0);
+            return (10 - (sum % 10)) % 10 === Number(id[9]) && id.slice(10) !== '000';
+        }
+
+        const [weights, position] = type === 6
+            ? [[3, 2, 7, 6, 5, 4, 3, 2], 8]
+            : [[4, 3, 2, 7, 6, 5, 4, 3, 2], 9];
+        const remainder = TaxId.weightedSum(id.slice(0, position), weights) % 11;
+        const checkDigit = remainder === 0 ? 0 : 11 - remainder;
+
+        return checkDigit === Number(id[position]) && Number(id.slice(position + 1)) > 0;
+    }
+}
+
+// Supported countries: display name, example, format of the normalized ID and check
+TaxId.COUNTRIES = {
+    CO: {
+        name: 'NIT',
+        example: '900.123.456-8',
+        format: /^\d{7,16}$/,
+        checkDigit: id => TaxId.nitCheckDigit(id.slice(0, -1)) === Number(id.slice(-1))
+    },
+    CL: {
+        name: 'RUT',
+        example: '12.345.678-5',
+        format: /^\d{7,8}[\dK]$/,
+        checkDigit: id => TaxId.rutCheckDigit(id.slice(0, -1)) === id.slice(-1)
+    },
+    PE: {
+        name: 'RUC',
+        example: '20131312955',
+        format: /^(10|15|16|17|20)\d{9}$/,
+        // 10 -> 0 and 11 -> 1
+        checkDigit: id => TaxId.mod11Complement(id.slice(0, 10)) % 10 === Number(id[10])
+    },
+    EC: {
+        name: 'RUC',
+        example: '1790011674001',
+        // Province 01-24 or 30, then the taxpayer type in the third digit
+        format: /^(0[1-9]|1\d|2[0-4]|30)[0-69]\d{10}$/,
+        checkDigit: id => TaxId.ecuadorRucValid(id)
+    },
+    AR: {
+        name: 'CUIT',
+        example: '20-12345678-6',
+        format: /^(20|23|24|27|30|33|34)\d{9}$/,
+        // 11 -> 0; 10 has no valid check digit for the prefix
+        checkDigit: id => {
+            const result = TaxId.mod11Complement(id.slice(0, 10));
+            return (result === 11 ? 0 : result) === Number(id[10]);
+        }
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxId;
+}
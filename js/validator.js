@@ -1,16 +1,43 @@
 /**
  * Dynamic Form Validator
  * A flexible and extensible form validation system
+ *
+ * Has no DOM dependency: the same class runs in the browser (script tag,
+ * after message-catalog.js and any rule packs such as tax-id.js or national-id.js) and in
+ * Node.js (require, or import through validator.mjs).
  */
 
 class FormValidator {
-    constructor() {
+    /**
+     * @param {object} options - Validator options
+     * @param {boolean} options.strict - Throw on unknown rule names instead of warning
+     * @param {string} options.locale - Message locale, 'en' by default
+     * @param {MessageCatalog} options.messages - Catalog to share between validators
+     */
+    constructor(options = {}) {
+        // Loaded by its own script tag in the browser
+        const Catalog = typeof MessageCatalog !== 'undefined' ? MessageCatalog : require('./message-catalog.js');
+        this.messages = options.messages || new Catalog(options.locale || 'en');
+
         this.validationRules = new Map();
+        this.transformers = new Map();
         this.errorMessages = new Map();
+        this.customMessages = new Set();
+        this.ruleSeverities = new Map();
+        this.ruleAliases = new Map();
+        this.strict = Boolean(options.strict);
         this.fieldConfigs = new Map();
+        this.pendingValidations = new Map();
+        this.asyncTimeout = 5000;
+        this.schemaInfo = null;
         
-        // Initialize default validation rules
+        // Initialize default validation rules. Their messages are only
+        // defaults: the catalog translates them.
+        this.registeringBuiltIns = true;
         this.initializeDefaultRules();
+        this.initializeDefaultTransformers();
+        this.initializeRulePacks();
+        this.registeringBuiltIns = false;
     }
 
     /**
@@ -19,7 +46,7 @@ class FormValidator {
     initializeDefaultRules() {
         // Required field validation
         this.addValidationRule('required', (value, params) => {
-            return value !== null && value !== undefined && value.toString().trim() !== '';
+            return this.hasValue(value);
         }, 'This field is required');
 
         // Minimum length validation
@@ -34,14 +61,14 @@ class FormValidator {
             return value.toString().length <= params.length;
         }, 'Must be no more than {length} characters long');
 
-        // Email validation
+        // Email validation; the email-address.js pack replaces it with RFC 5321 checks
         this.addValidationRule('email', (value, params) => {
             if (!value) return true;
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             return emailRegex.test(value);
         }, 'Please enter a valid email address');
 
-        // Phone validation
+        // Phone validation; the phone-number.js pack replaces it with numbering plans
         this.addValidationRule('phone', (value, params) => {
             if (!value) return true;
             const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
@@ -50,19 +77,19 @@ class FormValidator {
 
         // Number validation
         this.addValidationRule('number', (value, params) => {
-            if (!value) return true;
+            if (!this.hasValue(value)) return true;
             return !isNaN(value) && !isNaN(parseFloat(value));
         }, 'Please enter a valid number');
 
         // Minimum value validation
         this.addValidationRule('min', (value, params) => {
-            if (!value) return true;
+            if (!this.hasValue(value)) return true;
             return parseFloat(value) >= params.value;
         }, 'Value must be at least {value}');
 
         // Maximum value validation
         this.addValidationRule('max', (value, params) => {
-            if (!value) return true;
+            if (!this.hasValue(value)) return true;
             return parseFloat(value) <= params.value;
         }, 'Value must be no more than {value}');
 
@@ -73,7 +100,7 @@ class FormValidator {
             return regex.test(value);
         }, 'Please match the required format');
 
-        // Password strength validation
+        // Password strength validation; the password-policy.js pack replaces it
         this.addValidationRule('password', (value, params) => {
             if (!value) return true;
             const hasUpperCase = /[A-Z]/.test(value);
@@ -92,16 +119,16 @@ class FormValidator {
             return value === originalPassword;
         }, 'Passwords do not match');
 
-        // Age validation
+        // Age validation; the date-value.js pack also accepts birth dates
         this.addValidationRule('age', (value, params) => {
-            if (!value) return true;
+            if (!this.hasValue(value)) return true;
             const age = parseInt(value);
             const minAge = params.min || 0;
             const maxAge = params.max || 120;
             return age >= minAge && age <= maxAge;
         }, 'Please enter a valid age between {min} and {max}');
 
-        // Date validation
+        // Date validation; the date-value.js pack replaces it with strict ISO dates and bounds
         this.addValidationRule('date', (value, params) => {
             if (!value) return true;
             const date = new Date(value);
@@ -118,17 +145,386 @@ class FormValidator {
                 return false;
             }
         }, 'Please enter a valid URL');
+
+        // Multi-value validation (checkbox groups, multi-selects).
+        // params.group reads the values of another field instead.
+        this.addValidationRule('minItems', (value, params, formData = {}) => {
+            const items = params.group ? formData[params.group] : value;
+            return this.countItems(items) >= params.min;
+        }, 'Select at least {min} options');
+
+        this.addValidationRule('maxItems', (value, params, formData = {}) => {
+            const items = params.group ? formData[params.group] : value;
+            return this.countItems(items) <= params.max;
+        }, 'Select no more than {max} options');
+
+        // Common alternative names
+        this.addRuleAlias('tel', 'phone');
+        this.addRuleAlias('numeric', 'number');
+        this.addRuleAlias('confirm', 'confirmPassword');
+    }
+
+    /**
+     * Register rules whose algorithms live in their own files. In the browser
+     * each pack is optional: its rules exist only if its script tag is loaded.
+     */
+    initializeRulePacks() {
+        const load = (loaded, path) => {
+            if (loaded) return loaded;
+            return typeof require === 'function' ? require(path) : null;
+        };
+
+        // Tax IDs with check digits: CO NIT, CL RUT, PE/EC RUC, AR CUIT.
+        // The country comes from params.country or the field named by
+        // params.countryField ('country' by default).
+        const TaxIds = load(typeof TaxId !== 'undefined' ? TaxId : null, './tax-id.js');
+        if (TaxIds) {
+            this.addValidationRule('taxId', (value, params = {}, formData = {}) => {
+                if (!this.hasValue(value)) return true;
+                const country = params.country || formData[params.countryField || 'country'];
+                return TaxIds.validate(value, country);
+            }, 'Please enter a valid tax ID');
+        }
+
+        // Identity documents: BR CPF/CNPJ, MX CURP/RFC, ES DNI/NIE/CIF, AR DNI,
+        // CO cédula, CL RUN and passports. params.documentType is a type such as
+        // 'BR_CPF', or the name of a field (usually a select) holding the type.
+        const NationalIds = load(typeof NationalId !== 'undefined' ? NationalId : null, './national-id.js');
+        if (NationalIds) {
+            this.addValidationRule('nationalId', (value, params = {}, formData = {}) => {
+                if (!this.hasValue(value)) return true;
+                const documentType = Object.prototype.hasOwnProperty.call(formData, params.documentType)
+                    ? formData[params.documentType]
+                    : params.documentType;
+                return NationalIds.validate(value, documentType);
+            }, 'Please enter a valid ID number');
+        }
+
+        // Email addresses: RFC 5321 syntax and lengths and internationalized
+        // domains, replacing the loose core rule. params.allowPlus: false,
+        // params.domains and params.allowDisposable: false restrict them further.
+        // The 'emailSuggestion' warning proposes fixes for misspelled providers.
+        const EmailAddresses = load(typeof EmailAddress !== 'undefined' ? EmailAddress : null, './email-address.js');
+        if (EmailAddresses) {
+            this.addValidationRule('email', (value, params = {}) => {
+                if (!this.hasValue(value)) return true;
+                return EmailAddresses.validate(value, params);
+            }, 'Please enter a valid email address');
+
+            this.addValidationRule('emailSuggestion', value => {
+                if (!this.hasValue(value)) return true;
+                const suggestion = EmailAddresses.suggest(value);
+                return suggestion ? { valid: false, params: { suggestion } } : true;
+            }, 'Did you mean {suggestion}?', { severity: 'warning' });
+        }
+
+        // Password policy: composition requirements, common passwords, similarity
+        // to other fields (params.similarTo) and an entropy score (params.minScore).
+        // Replaces the core rule; failures name every unmet requirement and passes
+        // report the score. params.policy picks a preset such as 'strong'.
+        const PasswordPolicies = load(typeof PasswordPolicy !== 'undefined' ? PasswordPolicy : null, './password-policy.js');
+        if (PasswordPolicies) {
+            this.addValidationRule('password', (value, params = {}, formData = {}) => {
+                if (!value) return true;
+                const outcome = PasswordPolicies.evaluate(value, params, formData);
+                if (outcome.params.field) {
+                    // Messages name the other field by its label
+                    const config = this.fieldConfigs.get(outcome.params.field);
+                    outcome.params.field = (config && config.label) || outcome.params.field;
+                }
+                return outcome;
+            }, 'Password must contain uppercase, lowercase, numbers, special characters, and be at least 8 characters long');
+        }
+
+        // Phone numbers checked against per-country numbering plans. Numbers
+        // without '+' use params.region or the field named by params.countryField
+        // ('country' by default); params.type 'mobile' or 'landline' restricts
+        // the number type. Replaces the loose core rule, and adds an 'e164'
+        // transformer taking the same params.
+        const PhoneNumbers = load(typeof PhoneNumber !== 'undefined' ? PhoneNumber : null, './phone-number.js');
+        if (PhoneNumbers) {
+            const parsePhone = (value, params, formData) => {
+                return PhoneNumbers.parse(value, params.region || formData[params.countryField || 'country']);
+            };
+
+            this.addValidationRule('phone', (value, params = {}, formData = {}) => {
+                if (!this.hasValue(value)) return true;
+                const outcome = parsePhone(value, params, formData);
+                const type = outcome.params.type;
+                if (outcome.valid && params.type && type !== params.type && type !== 'fixedOrMobile') {
+                    return { valid: false, reason: params.type, params: outcome.params };
+                }
+                return outcome;
+            }, 'Please enter a valid phone number');
+
+            this.addTransformer('e164', (value, params = {}, formData = {}) => {
+                if (typeof value !== 'string' || value.trim() === '') return value;
+                const outcome = parsePhone(value, params, formData);
+                return outcome.valid ? outcome.params.e164 : value;
+            });
+        }
+
+        // Dates, times and dates with times (type="date", "time" and
+        // "datetime-local") parsed strictly from ISO, without time zone shifts.
+        // params.min/max (inclusive) and after/before (exclusive) take ISO
+        // values, 'today', 'now', offsets such as '-18y' or '+30d', or the name
+        // of another field; params.weekdays and params.businessDay restrict the
+        // day. 'dateRange' is kept as an alias of 'date'. 'age' also accepts
+        // birth dates and computes the exact age.
+        const DateValues = load(typeof DateValue !== 'undefined' ? DateValue : null, './date-value.js');
+        if (DateValues) {
+            const dateRule = kind => (value, params = {}, formData = {}) => {
+                if (!this.hasValue(value)) return true;
+                const outcome = DateValues.validate(value, kind, params, formData);
+                if (outcome.valid) return outcome;
+
+                // Messages show bounds and weekdays in the active locale
+                const locale = this.getLocale();
+                const messageParams = { ...outcome.params };
+                ['min', 'max', 'after', 'before'].forEach(name => {
+                    if (messageParams[name]) messageParams[name] = DateValues.toDisplay(messageParams[name], kind, locale);
+                });
+                if (messageParams.weekdays) {
+                    const names = messageParams.weekdays.map(day => DateValues.weekdayName(day, locale));
+                    messageParams.weekdays = typeof Intl !== 'undefined' && Intl.ListFormat
+                        ? new Intl.ListFormat(locale, { type: 'disjunction' }).format(names)
+                        : names.join(', ');
+                }
+                return { ...outcome, params: messageParams };
+            };
+
+            this.addValidationRule('date', dateRule('date'), 'Please enter a valid date');
+            this.addValidationRule('time', dateRule('time'), 'Please enter a valid time');
+            this.addValidationRule('dateTime', dateRule('dateTime'), 'Please enter a valid date and time');
+            this.addRuleAlias('datetimeLocal', 'dateTime');
+            this.addRuleAlias('dateRange', 'date');
+
+            const ageInYears = this.getRule('age');
+            this.addValidationRule('age', (value, params = {}, formData = {}) => {
+                if (!this.hasValue(value)) return true;
+                const limits = { min: params.min || 0, max: params.max || 120 };
+                if (DateValues.parseAny(value, 'date') === null) {
+                    return ageInYears(value, params, formData) || { valid: false, params: limits };
+                }
+
+                const age = DateValues.age(value);
+                if (age < limits.min) return { valid: false, reason: 'min', params: { ...limits, age } };
+                if (age > limits.max) return { valid: false, reason: 'max', params: { ...limits, age } };
+                return { valid: true, params: { age } };
+            }, 'Please enter a valid age between {min} and {max}');
+
+            this.addTransformer('date', value => {
+                if (typeof value !== 'string' || value.trim() === '') return value;
+                return DateValues.toDate(value, 'date') || DateValues.toDate(value, 'dateTime') || value;
+            });
+        }
+
+        // Money amounts typed as '1.000.000,50', '$1,000.50' or 'COP 1.500', in
+        // params.currency or the currency held by the field named by
+        // params.currencyField. Decimals are limited to the currency's (none for
+        // CLP); params.min and params.max are in major units, and negative
+        // amounts need params.allowNegative. The 'money' transformer takes the
+        // same params and turns amounts into { amount, currency }, the amount
+        // in integer minor units (cents), which the rule also accepts.
+        const Monies = load(typeof Money !== 'undefined' ? Money : null, './money.js');
+        if (Monies) {
+            const moneyOptions = (params, formData) => ({
+                ...params,
+                currency: params.currency || formData[params.currencyField] || null,
+                locale: params.locale || this.getLocale()
+            });
+
+            this.addValidationRule('money', (value, params = {}, formData = {}) => {
+                if (!this.hasValue(value)) return true;
+                const outcome = Monies.validate(value, moneyOptions(params, formData));
+                if (outcome.valid) return outcome;
+
+                // Messages show bounds as amounts in the active locale
+                const messageParams = { ...outcome.params };
+                ['min', 'max'].forEach(name => {
+                    if (typeof messageParams[name] === 'number') {
+                        messageParams[name] = Monies.format({ amount: messageParams[name], currency: messageParams.currency }, params.locale || this.getLocale());
+                    }
+                });
+                return { ...outcome, params: messageParams };
+            }, 'Please enter a valid amount');
+
+            this.addTransformer('money', (value, params = {}, formData = {}) => {
+                if (typeof value !== 'string' || value.trim() === '') return value;
+                const { currency, locale, precision, decimal } = moneyOptions(params, formData);
+                const outcome = Monies.parse(value, { currency, locale, precision, decimal });
+                return outcome.valid ? { amount: outcome.params.amount, currency: outcome.params.currency } : value;
+            });
+        }
+    }
+
+    /**
+     * Initialize default value transformers.
+     * Parsers return the value unchanged when it does not parse, so the
+     * matching rule (number, date...) can still report it.
+     */
+    initializeDefaultTransformers() {
+        // Apply a string operation to a value or to every item of an array
+        const eachString = fn => value => {
+            if (Array.isArray(value)) return value.map(item => (typeof item === 'string' ? fn(item) : item));
+            return typeof value === 'string' ? fn(value) : value;
+        };
+
+        this.addTransformer('trim', eachString(value => value.trim()));
+        this.addTransformer('lowercase', eachString(value => value.toLowerCase()));
+        this.addTransformer('uppercase', eachString(value => value.toUpperCase()));
+        this.addTransformer('digits', eachString(value => value.replace(/\D/g, '')));
+
+        this.addTransformer('number', eachString(value => {
+            if (value.trim() === '') return value;
+            const number = Number(value.trim());
+            return Number.isFinite(number) ? number : value;
+        }));
+
+        this.addTransformer('integer', eachString(value => {
+            if (value.trim() === '') return value;
+            const number = Number(value.trim());
+            return Number.isInteger(number) ? number : value;
+        }));
+
+        this.addTransformer('boolean', value => {
+            if (typeof value !== 'string') return value;
+            const key = value.trim().toLowerCase();
+            if (['true', 'on', 'yes', '1'].includes(key)) return true;
+            if (['false', 'off', 'no', '0', ''].includes(key)) return false;
+            return value;
+        });
+
+        // The date-value.js pack replaces it so 'YYYY-MM-DD' is local midnight, not UTC
+        this.addTransformer('date', eachString(value => {
+            if (value.trim() === '') return value;
+            const date = new Date(value.trim());
+            return isNaN(date) ? value : date;
+        }));
     }
 
     /**
      * Add a new validation rule
      * @param {string} name - Rule name
      * @param {function} validator - Validation function
-     * @param {string} message - Default error message
+     * @param {string|object} message - Error message, or messages by locale ({ en, es }).
+     *   A single message is shown in every locale, even for a built-in rule's name.
+     * @param {object} options - Rule options
+     * @param {string} options.severity - Default severity: 'error', 'warning' or 'info'
      */
-    addValidationRule(name, validator, message) {
+    addValidationRule(name, validator, message, options = {}) {
+        if (message && !this.registeringBuiltIns && typeof message === 'string') {
+            this.customMessages.add(name);
+        } else {
+            this.customMessages.delete(name);
+        }
+
+        if (message && typeof message === 'object') {
+            Object.entries(message).forEach(([locale, text]) => {
+                this.messages.addMessages(locale, { [name]: text });
+            });
+            message = message[this.messages.fallbackLocale] || Object.values(message)[0];
+        }
+
         this.validationRules.set(name, validator);
         this.errorMessages.set(name, message);
+        this.ruleSeverities.set(name, options.severity || 'error');
+        this.ruleAliases.set(this.normalizeRuleKey(name), name);
+    }
+
+    /**
+     * Register an alternative name for an existing rule
+     * @param {string} alias - Alternative name
+     * @param {string} ruleName - Canonical rule name
+     */
+    addRuleAlias(alias, ruleName) {
+        this.ruleAliases.set(this.normalizeRuleKey(alias), ruleName);
+    }
+
+    /**
+     * Reduce a rule name to its lookup key, so `confirm-password`,
+     * `confirm_password`, `confirmpassword` and `confirmPassword` all match
+     * @param {string} name - Rule name in any casing
+     * @returns {string} Lookup key
+     */
+    normalizeRuleKey(name) {
+        return String(name).replace(/[-_\s]/g, '').toLowerCase();
+    }
+
+    /**
+     * Resolve a rule name or alias to its canonical name
+     * @param {string} name - Rule name, alias or differently-cased variant
+     * @returns {string|null} Canonical rule name, or null if unknown
+     */
+    resolveRuleName(name) {
+        if (this.validationRules.has(name)) return name;
+
+        const canonical = this.ruleAliases.get(this.normalizeRuleKey(name));
+        return canonical && this.validationRules.has(canonical) ? canonical : null;
+    }
+
+    /**
+     * Look up a rule's validator, reporting unknown names.
+     * Throws in strict mode, warns otherwise.
+     * @param {string} name - Rule name
+     * @returns {function|null} Validator function
+     */
+    getRule(name) {
+        const canonical = this.resolveRuleName(name);
+        if (canonical) {
+            return this.validationRules.get(canonical);
+        }
+
+        const suggestions = this.suggestRuleNames(name);
+        const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+
+        if (this.strict) {
+            throw new Error(`Validation rule "${name}" not found.${hint}`);
+        }
+        console.warn(`Validation rule "${name}" not found.${hint}`);
+        return null;
+    }
+
+    /**
+     * Find the known rule names closest to an unknown one
+     * @param {string} name - Unknown rule name
+     * @param {number} limit - Maximum suggestions
+     * @returns {array} Canonical rule names, closest first
+     */
+    suggestRuleNames(name, limit = 3) {
+        const key = this.normalizeRuleKey(name);
+        const maxDistance = Math.max(2, Math.floor(key.length / 3));
+
+        return this.getAvailableRules()
+            .map(ruleName => ({
+                ruleName,
+                distance: this.editDistance(key, this.normalizeRuleKey(ruleName))
+            }))
+            .filter(({ distance }) => distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit)
+            .map(({ ruleName }) => ruleName);
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of single-character edits
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
     }
 
     /**
@@ -137,6 +533,11 @@ class FormValidator {
      * @param {object} config - Validation configuration
      */
     configureField(fieldName, config) {
+        if (this.strict) {
+            // Fail fast on misspelled rules instead of at first validation
+            (config.rules || []).forEach(rule => this.getRule(this.normalizeRule(rule).name));
+            [].concat(config.transform || []).forEach(step => this.normalizeTransform(step));
+        }
         this.fieldConfigs.set(fieldName, config);
     }
 
@@ -150,6 +551,399 @@ class FormValidator {
         });
     }
 
+    /**
+     * Add a value transformer
+     * @param {string} name - Transformer name
+     * @param {function} transformer - Function (value, params, formData) returning the new value
+     */
+    addTransformer(name, transformer) {
+        this.transformers.set(name, transformer);
+    }
+
+    /**
+     * Look up a transformer, reporting unknown names.
+     * Throws in strict mode, warns otherwise.
+     * @param {string} name - Transformer name
+     * @returns {function|null} Transformer function
+     */
+    getTransformer(name) {
+        if (this.transformers.has(name)) {
+            return this.transformers.get(name);
+        }
+        if (this.strict) {
+            throw new Error(`Transformer "${name}" not found`);
+        }
+        console.warn(`Transformer "${name}" not found`);
+        return null;
+    }
+
+    /**
+     * Normalize a step of a field's `transform` list
+     * @param {string|function|object} step - Transformer name, function or { name, params }
+     * @returns {object} Step with fn and params
+     */
+    normalizeTransform(step) {
+        if (typeof step === 'function') {
+            return { fn: step, params: {} };
+        }
+        const entry = typeof step === 'string' ? { name: step } : step;
+        return { fn: this.getTransformer(entry.name), params: entry.params || {} };
+    }
+
+    /**
+     * Run a value through a field's `transform` steps, in order
+     * @param {string} fieldName - Field name
+     * @param {any} value - Raw value
+     * @param {object} formData - Complete raw form data
+     * @returns {any} Normalized value
+     */
+    transformValue(fieldName, value, formData = {}) {
+        const config = this.fieldConfigs.get(fieldName);
+        if (!config || !config.transform) return value;
+
+        const steps = Array.isArray(config.transform) ? config.transform : [config.transform];
+        return steps.reduce((current, step) => {
+            const { fn, params } = this.normalizeTransform(step);
+            return fn ? fn(current, params, formData) : current;
+        }, value);
+    }
+
+    /**
+     * Normalize every configured field of the form data
+     * @param {object} formData - Raw form data
+     * @returns {object} Copy of the form data with transformed values
+     */
+    transformData(formData = {}) {
+        const data = { ...formData };
+        Object.keys(data).forEach(fieldName => {
+            data[fieldName] = this.transformValue(fieldName, formData[fieldName], formData);
+        });
+        return data;
+    }
+
+    /**
+     * Normalize a rule entry from a field config
+     * @param {string|object} rule - Rule name or rule object
+     * @returns {object} Rule with name, params, message, timeout, severity and conditions
+     */
+    normalizeRule(rule) {
+        const entry = typeof rule === 'string' ? { name: rule } : rule;
+        const name = this.resolveRuleName(entry.name) || entry.name;
+
+        return {
+            name: name,
+            params: entry.params || {},
+            message: entry.message || null,
+            timeout: entry.timeout || null,
+            severity: entry.severity || this.ruleSeverities.get(name) || 'error',
+            when: entry.when || null,
+            unless: entry.unless || null
+        };
+    }
+
+    /**
+     * Get the rules of a field that apply to the current form data
+     * @param {object} config - Field configuration
+     * @param {object} formData - Complete form data
+     * @returns {array} Normalized rules whose `when`/`unless` conditions hold
+     */
+    getActiveRules(config, formData) {
+        if (!this.isConditionMet(config, formData)) {
+            return [];
+        }
+        return (config.rules || [])
+            .map(entry => this.normalizeRule(entry))
+            .filter(rule => this.isConditionMet(rule, formData));
+    }
+
+    /**
+     * Check the `when`/`unless` conditions of a field config or rule
+     * @param {object} target - Object that may carry `when` and `unless`
+     * @param {object} formData - Complete form data
+     * @returns {boolean} True if the target applies
+     */
+    isConditionMet(target, formData) {
+        if (target.when && !this.evaluateCondition(target.when, formData)) return false;
+        if (target.unless && this.evaluateCondition(target.unless, formData)) return false;
+        return true;
+    }
+
+    /**
+     * Evaluate a condition against form data.
+     * A condition is a function of formData, an array (all must hold), or an object
+     * naming a `field` plus any of: equals, notEquals, in, notIn, matches, filled.
+     * An object with only `field` holds when that field has a value.
+     * @param {function|array|object} condition - Condition to evaluate
+     * @param {object} formData - Complete form data
+     * @returns {boolean} Whether the condition holds
+     */
+    evaluateCondition(condition, formData = {}) {
+        if (typeof condition === 'function') {
+            return Boolean(condition(formData));
+        }
+        if (Array.isArray(condition)) {
+            return condition.every(part => this.evaluateCondition(part, formData));
+        }
+
+        const value = formData[condition.field];
+        const matchesValue = expected => (Array.isArray(value) ? value.includes(expected) : value === expected);
+        const checks = [];
+
+        if ('equals' in condition) checks.push(matchesValue(condition.equals));
+        if ('notEquals' in condition) checks.push(!matchesValue(condition.notEquals));
+        if ('in' in condition) checks.push(condition.in.some(matchesValue));
+        if ('notIn' in condition) checks.push(!condition.notIn.some(matchesValue));
+        if ('matches' in condition) checks.push(new RegExp(condition.matches).test(value == null ? '' : value));
+        if ('filled' in condition) checks.push(this.hasValue(value) === Boolean(condition.filled));
+
+        return checks.length > 0 ? checks.every(Boolean) : this.hasValue(value);
+    }
+
+    /**
+     * Count the selected items of a multi-value field
+     * @param {any} value - Array of values, or a single value
+     * @returns {number} Number of items; 0 when empty
+     */
+    countItems(value) {
+        if (Array.isArray(value)) return value.length;
+        return this.hasValue(value) ? 1 : 0;
+    }
+
+    /**
+     * Check whether a form value counts as filled in
+     * @param {any} value - Form value
+     * @returns {boolean} False for null, undefined, blank strings, false and empty arrays
+     */
+    hasValue(value) {
+        if (value === null || value === undefined || value === false) return false;
+        if (Array.isArray(value)) return value.length > 0;
+        return value.toString().trim() !== '';
+    }
+
+    /**
+     * Collect the field names a declarative condition reads
+     * @param {function|array|object} condition - Condition
+     * @returns {array} Field names (functions cannot be inspected)
+     */
+    getConditionFields(condition) {
+        if (!condition || typeof condition === 'function') return [];
+        if (Array.isArray(condition)) {
+            return condition.flatMap(part => this.getConditionFields(part));
+        }
+        return condition.field ? [condition.field] : [];
+    }
+
+    /**
+     * Collect the fields a field reads: explicit `dependsOn`, field references
+     * in rule params (see FormValidator.FIELD_REFERENCE_PARAMS) and conditions
+     * @param {string} fieldName - Field name
+     * @returns {array} Names of the fields it depends on
+     */
+    getFieldDependencies(fieldName) {
+        const config = this.fieldConfigs.get(fieldName);
+        if (!config) return [];
+
+        const sources = new Set([].concat(config.dependsOn || []));
+        const rules = (config.rules || []).map(entry => this.normalizeRule(entry));
+
+        [config, ...rules].forEach(target => {
+            this.getConditionFields(target.when).forEach(source => sources.add(source));
+            this.getConditionFields(target.unless).forEach(source => sources.add(source));
+        });
+
+        rules.forEach(rule => {
+            [].concat(rule.params.dependsOn || []).forEach(source => sources.add(source));
+            FormValidator.FIELD_REFERENCE_PARAMS.forEach(param => {
+                // Params like the date rules' "after" may also hold literal values
+                [].concat(rule.params[param]).forEach(reference => {
+                    if (typeof reference === 'string' && this.fieldConfigs.has(reference)) {
+                        sources.add(reference);
+                    }
+                });
+            });
+            if (typeof rule.params.matchField === 'string') {
+                sources.add(rule.params.matchField);
+            }
+        });
+
+        sources.delete(fieldName);
+        return Array.from(sources);
+    }
+
+    /**
+     * Build the dependency graph of all configured fields
+     * @returns {Map} Source field name -> names of fields that depend on it
+     */
+    getDependencyGraph() {
+        const graph = new Map();
+        this.fieldConfigs.forEach((config, fieldName) => {
+            this.getFieldDependencies(fieldName).forEach(source => {
+                if (!graph.has(source)) graph.set(source, []);
+                graph.get(source).push(fieldName);
+            });
+        });
+        return graph;
+    }
+
+    /**
+     * Find every field affected by a change, directly or through other fields
+     * @param {string} fieldName - Field that changed
+     * @returns {array} Dependent field names, nearest first
+     */
+    getDependentFields(fieldName) {
+        const graph = this.getDependencyGraph();
+        const visited = new Set([fieldName]);
+        const ordered = [];
+        const queue = [fieldName];
+
+        while (queue.length > 0) {
+            (graph.get(queue.shift()) || []).forEach(dependent => {
+                if (visited.has(dependent)) return;
+                visited.add(dependent);
+                ordered.push(dependent);
+                queue.push(dependent);
+            });
+        }
+
+        return ordered;
+    }
+
+    /**
+     * Find circular dependencies between fields
+     * @returns {array} Cycles, each a list of field names ending where it started
+     */
+    findDependencyCycles() {
+        const graph = this.getDependencyGraph();
+        const cycles = [];
+        const finished = new Set();
+        const path = [];
+
+        const visit = fieldName => {
+            const index = path.indexOf(fieldName);
+            if (index !== -1) {
+                cycles.push([...path.slice(index), fieldName]);
+                return;
+            }
+            if (finished.has(fieldName)) return;
+
+            path.push(fieldName);
+            (graph.get(fieldName) || []).forEach(visit);
+            path.pop();
+            finished.add(fieldName);
+        };
+
+        graph.forEach((dependents, fieldName) => visit(fieldName));
+        return cycles;
+    }
+
+    /**
+     * Report circular dependencies. Throws in strict mode, warns otherwise.
+     * Re-validation stops at fields already visited, so cycles never loop forever.
+     * @returns {array} Cycles found
+     */
+    checkDependencyCycles() {
+        const cycles = this.findDependencyCycles();
+        if (cycles.length === 0) return cycles;
+
+        const description = cycles.map(cycle => cycle.join(' -> ')).join('; ');
+        if (this.strict) {
+            throw new Error(`Circular field dependencies: ${description}`);
+        }
+        console.warn(`Circular field dependencies: ${description}`);
+        return cycles;
+    }
+
+    /**
+     * Build the error entry for a failed rule
+     * @param {object} rule - Normalized rule
+     * @param {object} config - Field configuration, for per-field `messages` and `label`
+     * @param {string} fieldName - Field name, used for {label} when the config has none
+     * @returns {object} Error object
+     */
+    createError(rule, config = {}, fieldName = '', failure = null) {
+        const fieldMessages = config.messages || {};
+        const values = { ...rule.params, ...(failure ? failure.params : {}), label: config.label || fieldName };
+
+        // A failure reason selects a more specific message, e.g. "taxId.checkDigit",
+        // unless the rule was registered with a message of its own
+        const reasonKey = failure && failure.reason ? `${rule.name}.${failure.reason}` : null;
+        const messageKey = reasonKey &&
+            (fieldMessages[reasonKey] || (!this.customMessages.has(rule.name) && this.hasMessage(reasonKey)))
+            ? reasonKey
+            : rule.name;
+
+        const error = {
+            rule: rule.name,
+            message: this.formatErrorMessage(messageKey, values, rule.message || fieldMessages[messageKey] || fieldMessages[rule.name]),
+            params: rule.params,
+            severity: rule.severity
+        };
+        if (reasonKey) {
+            error.reason = failure.reason;
+        }
+        return error;
+    }
+
+    /**
+     * Read a rule's return value. Rules return true/false, or { valid, reason, params }
+     * to say why they failed: the reason picks the "<rule>.<reason>" message and
+     * params fill its placeholders.
+     * @param {boolean|object} outcome - Value returned (or resolved) by the rule
+     * @returns {object|null} { reason, params } if the rule failed, null if it passed
+     */
+    getRuleFailure(outcome) {
+        if (outcome && typeof outcome === 'object') {
+            return outcome.valid ? null : { reason: outcome.reason || null, params: outcome.params || {} };
+        }
+        return outcome ? null : { reason: null, params: {} };
+    }
+
+    /**
+     * Build a field result, separating blocking errors from warnings
+     * @param {array} issues - Error objects of every failed rule
+     * @returns {object} Result with isValid, errors and warnings (severity warning or info)
+     */
+    createFieldResult(issues, details = {}) {
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity !== 'error');
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            warnings: warnings,
+            details: details
+        };
+    }
+
+    /**
+     * Turn settled rule outcomes into a field result. Passing rules that
+     * return { valid: true, params } report those params under
+     * result.details[ruleName], e.g. the detected type of a phone number.
+     * @param {object} config - Field configuration
+     * @param {string} fieldName - Field name
+     * @param {array} checks - { rule, outcome } pairs, or { rule, issue } for rules that threw
+     * @returns {object} Validation result
+     */
+    buildFieldResult(config, fieldName, checks) {
+        const issues = [];
+        const details = {};
+
+        checks.forEach(({ rule, outcome, issue }) => {
+            if (issue) {
+                issues.push(issue);
+                return;
+            }
+            const failure = this.getRuleFailure(outcome);
+            if (failure) {
+                issues.push(this.createError(rule, config, fieldName, failure));
+            } else if (outcome && typeof outcome === 'object' && outcome.params) {
+                details[rule.name] = outcome.params;
+            }
+        });
+
+        return this.createFieldResult(issues, details);
+    }
+
     /**
      * Validate a single field
      * @param {string} fieldName - Field name
@@ -158,55 +952,213 @@ class FormValidator {
      * @returns {object} Validation result
      */
     validateField(fieldName, value, formData = {}) {
+        // Rules see normalized values, for this field and the ones it reads
+        if (this.fieldConfigs.has(fieldName)) {
+            value = this.transformValue(fieldName, value, formData);
+            formData = this.transformData(formData);
+        }
+        return this.validateTransformedField(fieldName, value, formData);
+    }
+
+    /**
+     * Validate a single field whose value and form data are already transformed,
+     * so validateForm runs the transformers once for the whole form
+     * @param {string} fieldName - Field name
+     * @param {any} value - Transformed field value
+     * @param {object} formData - Transformed form data
+     * @returns {object} Validation result
+     */
+    validateTransformedField(fieldName, value, formData) {
         const config = this.fieldConfigs.get(fieldName);
         if (!config) {
-            return { isValid: true, errors: [] };
+            return this.createFieldResult([]);
         }
 
-        const errors = [];
+        const checks = [];
 
-        // Run each validation rule for this field
-        config.rules.forEach(rule => {
-            const ruleName = typeof rule === 'string' ? rule : rule.name;
-            const ruleParams = typeof rule === 'string' ? {} : rule.params || {};
-            const customMessage = typeof rule === 'string' ? null : rule.message;
+        // Run each validation rule that applies to the current form data
+        this.getActiveRules(config, formData).forEach(rule => {
+            const validator = this.getRule(rule.name);
+            if (!validator) return;
 
-            const validator = this.validationRules.get(ruleName);
-            if (!validator) {
-                console.warn(`Validation rule "${ruleName}" not found`);
+            let isValid;
+            try {
+                isValid = validator(value, rule.params, formData);
+            } catch (error) {
+                // A rule that throws fails, as in validateFieldAsync
+                console.warn(`Validation rule "${rule.name}" threw:`, error);
+                checks.push({ rule, issue: this.createError(rule, config, fieldName) });
+                return;
+            }
+            if (isValid && typeof isValid.then === 'function') {
+                // A pending promise is not a pass: async rules need validateFieldAsync
+                console.warn(`Validation rule "${rule.name}" is async, use validateFieldAsync`);
                 return;
             }
+            checks.push({ rule, outcome: isValid });
+        });
 
-            const isValid = validator(value, ruleParams, formData);
-            if (!isValid) {
-                const message = customMessage || this.formatErrorMessage(ruleName, ruleParams);
-                errors.push({
-                    rule: ruleName,
-                    message: message,
-                    params: ruleParams
-                });
+        return this.buildFieldResult(config, fieldName, checks);
+    }
+
+    /**
+     * Validate a single field, awaiting promise-returning rules.
+     * Starting a new run for a field cancels the previous one.
+     * @param {string} fieldName - Field name
+     * @param {any} value - Field value
+     * @param {object} formData - Complete form data for cross-field validation
+     * @returns {Promise<object>} Validation result, with `cancelled: true` if superseded
+     */
+    validateFieldAsync(fieldName, value, formData = {}) {
+        if (this.fieldConfigs.has(fieldName)) {
+            value = this.transformValue(fieldName, value, formData);
+            formData = this.transformData(formData);
+        }
+        return this.validateTransformedFieldAsync(fieldName, value, formData);
+    }
+
+    /**
+     * Async counterpart of validateTransformedField, cancelling the field's previous run
+     * @param {string} fieldName - Field name
+     * @param {any} value - Transformed field value
+     * @param {object} formData - Transformed form data
+     * @returns {Promise<object>} Validation result, with `cancelled: true` if superseded
+     */
+    validateTransformedFieldAsync(fieldName, value, formData) {
+        const config = this.fieldConfigs.get(fieldName);
+        this.cancelFieldValidation(fieldName);
+
+        if (!config) {
+            return Promise.resolve(this.createFieldResult([]));
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const run = { controller, cancelled: false };
+        const context = { fieldName, signal: controller ? controller.signal : null };
+
+        // Call every rule right away so pending state is known synchronously
+        const checks = [];
+        this.getActiveRules(config, formData).forEach(rule => {
+            const validator = this.getRule(rule.name);
+            if (!validator) return;
+
+            let outcome;
+            try {
+                outcome = validator(value, rule.params, formData, context);
+            } catch (error) {
+                outcome = Promise.reject(error);
             }
+            checks.push({ rule, outcome });
         });
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        const hasPending = checks.some(({ outcome }) => outcome && typeof outcome.then === 'function');
+        if (!hasPending) {
+            return Promise.resolve(this.buildFieldResult(config, fieldName, checks));
+        }
+
+        this.pendingValidations.set(fieldName, run);
+
+        const settled = checks.map(({ rule, outcome }) => {
+            return this.withTimeout(Promise.resolve(outcome), rule.timeout || this.asyncTimeout)
+                .then(isValid => ({ rule, outcome: isValid }))
+                .catch(error => ({
+                    rule,
+                    issue: {
+                        ...this.createError(rule, config, fieldName),
+                        timedOut: error && error.name === 'TimeoutError'
+                    }
+                }));
+        });
+
+        return Promise.all(settled).then(results => {
+            if (run.cancelled) {
+                return { isValid: false, errors: [], warnings: [], details: {}, cancelled: true };
+            }
+            this.pendingValidations.delete(fieldName);
+
+            return this.buildFieldResult(config, fieldName, results);
+        });
+    }
+
+    /**
+     * Reject a promise that does not settle in time
+     * @param {Promise} promise - Rule outcome
+     * @param {number} ms - Timeout in milliseconds
+     * @returns {Promise} Promise that rejects with a TimeoutError after `ms`
+     */
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Validation timed out after ${ms}ms`);
+                error.name = 'TimeoutError';
+                reject(error);
+            }, ms);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Cancel the in-flight async validation of a field
+     * @param {string} fieldName - Field name
+     */
+    cancelFieldValidation(fieldName) {
+        const run = this.pendingValidations.get(fieldName);
+        if (!run) return;
+
+        run.cancelled = true;
+        if (run.controller) {
+            run.controller.abort();
+        }
+        this.pendingValidations.delete(fieldName);
+    }
+
+    /**
+     * Check whether a field has async rules still running
+     * @param {string} fieldName - Field name
+     * @returns {boolean} True while the field is being checked
+     */
+    isFieldPending(fieldName) {
+        return this.pendingValidations.has(fieldName);
+    }
+
+    /**
+     * Get names of fields with async rules still running
+     * @returns {array} Pending field names
+     */
+    getPendingFields() {
+        return Array.from(this.pendingValidations.keys());
+    }
+
+    /**
+     * A field's value from data already transformed by transformData, transforming
+     * fields the form data does not include
+     * @param {string} fieldName - Field name
+     * @param {object} data - Transformed form data
+     * @param {object} formData - Raw form data
+     * @returns {any} Transformed value
+     */
+    getTransformedValue(fieldName, data, formData) {
+        return Object.prototype.hasOwnProperty.call(data, fieldName)
+            ? data[fieldName]
+            : this.transformValue(fieldName, undefined, formData);
     }
 
     /**
      * Validate entire form
      * @param {object} formData - Form data to validate
-     * @returns {object} Validation result
+     * @returns {object} Validation result, with the transformed values in `data`
      */
     validateForm(formData) {
         const results = {};
         let isFormValid = true;
+        const data = this.transformData(formData);
 
         // Validate each configured field
         this.fieldConfigs.forEach((config, fieldName) => {
-            const fieldValue = formData[fieldName];
-            const fieldResult = this.validateField(fieldName, fieldValue, formData);
+            const fieldValue = this.getTransformedValue(fieldName, data, formData);
+            const fieldResult = this.validateTransformedField(fieldName, fieldValue, data);
             
             results[fieldName] = fieldResult;
             if (!fieldResult.isValid) {
@@ -217,33 +1169,103 @@ class FormValidator {
         return {
             isValid: isFormValid,
             fields: results,
-            errors: this.getAllErrors(results)
+            errors: this.getAllErrors(results),
+            warnings: this.getAllWarnings(results),
+            data: data
         };
     }
 
     /**
-     * Format error message with parameters
+     * Validate entire form, running every field's rules concurrently
+     * @param {object} formData - Form data to validate
+     * @returns {Promise<object>} Validation result, with `cancelled: true` if any field was superseded
+     */
+    async validateFormAsync(formData) {
+        const fieldNames = Array.from(this.fieldConfigs.keys());
+        const data = this.transformData(formData);
+        const fieldResults = await Promise.all(
+            fieldNames.map(fieldName => this.validateTransformedFieldAsync(fieldName, this.getTransformedValue(fieldName, data, formData), data))
+        );
+
+        const results = {};
+        fieldNames.forEach((fieldName, index) => {
+            results[fieldName] = fieldResults[index];
+        });
+
+        const formResult = {
+            isValid: fieldResults.every(result => result.isValid),
+            fields: results,
+            errors: this.getAllErrors(results),
+            warnings: this.getAllWarnings(results),
+            data: data
+        };
+        if (fieldResults.some(result => result.cancelled)) {
+            formResult.cancelled = true;
+        }
+        return formResult;
+    }
+
+    /**
+     * Format error message with parameters.
+     * Lookup order: given template, schema message, message given to
+     * addValidationRule by the caller, active locale catalog, default message
+     * of a built-in rule, fallback locale catalog.
      * @param {string} ruleName - Rule name
-     * @param {object} params - Rule parameters
+     * @param {object} params - Rule parameters, plus `label` for {label}
+     * @param {string|object} template - Message to use instead of the rule's default
      * @returns {string} Formatted message
      */
-    formatErrorMessage(ruleName, params) {
-        let message = this.errorMessages.get(ruleName) || 'Invalid value';
-        
-        // Ensure params is an object
-        if (!params || typeof params !== 'object') {
-            return message;
-        }
-        
-        // Replace parameter placeholders
-        Object.entries(params).forEach(([key, value]) => {
-            // Check for valid values
-            if (value !== null && value !== undefined && value !== '') {
-                message = message.replace(new RegExp(`\\{${key}\\}`, 'g'), value);
-            }
-        });
+    formatErrorMessage(ruleName, params, template = null) {
+        const schemaMessage = this.schemaInfo ? this.schemaInfo.messages[ruleName] : null;
+        const values = params && typeof params === 'object' ? params : {};
+
+        const message = template ||
+            schemaMessage ||
+            (this.customMessages.has(ruleName) ? this.errorMessages.get(ruleName) : null) ||
+            this.messages.lookup(ruleName, this.messages.getLocale()) ||
+            this.errorMessages.get(ruleName) ||
+            this.messages.lookup(ruleName, this.messages.fallbackLocale) ||
+            'Invalid value';
+
+        return this.messages.interpolate(message, values);
+    }
+
+    /**
+     * Check whether any source has a message for a key
+     * @param {string} key - Rule name or "<rule>.<reason>" key
+     * @returns {boolean} True if a message exists
+     */
+    hasMessage(key) {
+        return Boolean(this.schemaInfo && this.schemaInfo.messages[key]) ||
+            this.errorMessages.has(key) ||
+            this.messages.lookup(key, this.messages.getLocale()) !== null ||
+            this.messages.lookup(key, this.messages.fallbackLocale) !== null;
+    }
+
+    /**
+     * Translate a non-rule message, such as FormHandler interface strings
+     * @param {string} key - Message key
+     * @param {object} params - Values for {placeholders}
+     * @returns {string} Message in the active locale, or the key itself if unknown
+     */
+    translate(key, params = {}) {
+        return this.messages.format(key, params) || key;
+    }
 
-        return message;
+    /**
+     * Change the message locale
+     * @param {string} locale - Locale code, e.g. 'es' or 'es-CO'
+     */
+    setLocale(locale) {
+        this.messages.setLocale(locale);
+    }
+
+    /**
+     * Get the message locale
+     * @returns {string} Locale code
+     */
+    getLocale() {
+        return this.messages.getLocale();
     }
 
     /**
@@ -266,11 +1288,30 @@ class FormValidator {
         return allErrors;
     }
 
+    /**
+     * Get all warnings and info messages from validation results
+     * @param {object} results - Validation results
+     * @returns {array} All warnings, tagged with their field
+     */
+    getAllWarnings(results) {
+        const allWarnings = [];
+        Object.entries(results).forEach(([fieldName, result]) => {
+            (result.warnings || []).forEach(warning => {
+                allWarnings.push({
+                    field: fieldName,
+                    ...warning
+                });
+            });
+        });
+        return allWarnings;
+    }
+
     /**
      * Reset field configuration
      * @param {string} fieldName - Field name to reset
      */
     resetField(fieldName) {
+        this.cancelFieldValidation(fieldName);
         this.fieldConfigs.delete(fieldName);
     }
 
@@ -278,7 +1319,291 @@ class FormValidator {
      * Clear all field configurations
      */
     clearAll() {
+        this.getPendingFields().forEach(fieldName => this.cancelFieldValidation(fieldName));
         this.fieldConfigs.clear();
+        this.schemaInfo = null;
+    }
+
+    /**
+     * Load a declarative form schema, replacing the current field configuration.
+     * Custom rules must be registered before loading.
+     * @param {object|string} schema - Schema object or JSON string
+     * @returns {object} The parsed schema
+     * @throws {Error} If the schema is invalid; `error.issues` lists every problem by path
+     */
+    loadSchema(schema) {
+        const parsed = typeof schema === 'string' ? JSON.parse(schema) : schema;
+
+        const issues = this.validateSchema(parsed);
+        if (issues.length > 0) {
+            const error = new Error(`Invalid form schema:\n- ${issues.join('\n- ')}`);
+            error.issues = issues;
+            throw error;
+        }
+
+        this.clearAll();
+        this.schemaInfo = {
+            id: parsed.id,
+            groups: parsed.groups || [],
+            messages: {}
+        };
+
+        // Form-level messages override rule defaults for this schema only
+        Object.entries(parsed.messages || {}).forEach(([ruleName, message]) => {
+            this.schemaInfo.messages[this.resolveRuleName(ruleName)] = message;
+        });
+
+        parsed.fields.forEach(field => {
+            const { name, ...config } = field;
+            this.configureField(name, { ...config, rules: config.rules || [] });
+        });
+        this.checkDependencyCycles();
+
+        return parsed;
+    }
+
+    /**
+     * Check a form schema against the supported format
+     * @param {object} schema - Schema to check
+     * @returns {array} Problems found, each prefixed with its path
+     */
+    validateSchema(schema) {
+        const issues = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(schema)) {
+            return ['schema: must be an object'];
+        }
+
+        if (schema.version !== FormValidator.SCHEMA_VERSION) {
+            issues.push(`version: expected ${FormValidator.SCHEMA_VERSION}, got ${JSON.stringify(schema.version)}`);
+        }
+
+        if (schema.id !== undefined && typeof schema.id !== 'string') {
+            issues.push('id: must be a string');
+        }
+
+        const groupNames = new Set();
+        if (schema.groups !== undefined) {
+            if (!Array.isArray(schema.groups)) {
+                issues.push('groups: must be an array');
+            } else {
+                schema.groups.forEach((group, index) => {
+                    if (!isObject(group) || typeof group.name !== 'string' || !group.name) {
+                        issues.push(`groups[${index}].name: must be a non-empty string`);
+                        return;
+                    }
+                    if (groupNames.has(group.name)) {
+                        issues.push(`groups[${index}].name: duplicate group "${group.name}"`);
+                    }
+                    groupNames.add(group.name);
+                });
+            }
+        }
+
+        if (schema.messages !== undefined) {
+            if (!isObject(schema.messages)) {
+                issues.push('messages: must be an object');
+            } else {
+                Object.entries(schema.messages).forEach(([ruleName, message]) => {
+                    if (!this.resolveRuleName(ruleName)) {
+                        issues.push(`messages.${ruleName}: unknown rule "${ruleName}"`);
+                    } else if (typeof message !== 'string') {
+                        issues.push(`messages.${ruleName}: must be a string`);
+                    }
+                });
+            }
+        }
+
+        if (!Array.isArray(schema.fields) || schema.fields.length === 0) {
+            issues.push('fields: must be a non-empty array');
+            return issues;
+        }
+
+        const fieldNames = new Set();
+        schema.fields.forEach((field, index) => {
+            const path = `fields[${index}]`;
+            if (!isObject(field)) {
+                issues.push(`${path}: must be an object`);
+                return;
+            }
+
+            if (typeof field.name !== 'string' || !field.name) {
+                issues.push(`${path}.name: must be a non-empty string`);
+            } else if (fieldNames.has(field.name)) {
+                issues.push(`${path}.name: duplicate field "${field.name}"`);
+            } else {
+                fieldNames.add(field.name);
+            }
+
+            if (!FormValidator.SCHEMA_FIELD_TYPES.includes(field.type)) {
+                issues.push(`${path}.type: must be one of ${FormValidator.SCHEMA_FIELD_TYPES.join(', ')}`);
+            }
+
+            if (field.label !== undefined && typeof field.label !== 'string') {
+                issues.push(`${path}.label: must be a string`);
+            }
+
+            if (field.group !== undefined && !groupNames.has(field.group)) {
+                issues.push(`${path}.group: unknown group "${field.group}"`);
+            }
+
+            if (field.type === 'select') {
+                if (!Array.isArray(field.options) || field.options.length === 0) {
+                    issues.push(`${path}.options: select fields need a non-empty array`);
+                } else {
+                    field.options.forEach((option, optionIndex) => {
+                        if (!isObject(option) || option.value === undefined || typeof option.label !== 'string') {
+                            issues.push(`${path}.options[${optionIndex}]: must have a value and a string label`);
+                        }
+                    });
+                }
+            }
+
+            if (field.rules !== undefined) {
+                if (!Array.isArray(field.rules)) {
+                    issues.push(`${path}.rules: must be an array`);
+                } else {
+                    field.rules.forEach((rule, ruleIndex) => {
+                        issues.push(...this.validateSchemaRule(rule, `${path}.rules[${ruleIndex}]`));
+                    });
+                }
+            }
+
+            if (field.dependsOn !== undefined &&
+                (!Array.isArray(field.dependsOn) || !field.dependsOn.every(source => typeof source === 'string'))) {
+                issues.push(`${path}.dependsOn: must be an array of field names`);
+            }
+
+            if (field.transform !== undefined) {
+                if (!Array.isArray(field.transform)) {
+                    issues.push(`${path}.transform: must be an array`);
+                } else {
+                    field.transform.forEach((step, stepIndex) => {
+                        const stepName = typeof step === 'string' ? step : step && step.name;
+                        if (!this.transformers.has(stepName)) {
+                            issues.push(`${path}.transform[${stepIndex}]: unknown transformer ${JSON.stringify(stepName)}`);
+                        }
+                    });
+                }
+            }
+
+            issues.push(...this.validateSchemaCondition(field.when, `${path}.when`));
+            issues.push(...this.validateSchemaCondition(field.unless, `${path}.unless`));
+
+            if (field.messages !== undefined) {
+                if (!isObject(field.messages)) {
+                    issues.push(`${path}.messages: must be an object`);
+                } else {
+                    Object.entries(field.messages).forEach(([ruleName, message]) => {
+                        if (typeof message !== 'string') {
+                            issues.push(`${path}.messages.${ruleName}: must be a string`);
+                        }
+                    });
+                }
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Check a single rule entry of a schema field
+     * @param {string|object} rule - Rule entry
+     * @param {string} path - Path used in reported problems
+     * @returns {array} Problems found
+     */
+    validateSchemaRule(rule, path) {
+        const ruleName = typeof rule === 'string' ? rule : rule && rule.name;
+
+        if (typeof ruleName !== 'string' || !ruleName) {
+            return [`${path}: must be a rule name or an object with a "name"`];
+        }
+        if (!this.resolveRuleName(ruleName)) {
+            const suggestions = this.suggestRuleNames(ruleName);
+            const hint = suggestions.length > 0 ? ` (did you mean ${suggestions.join(', ')}?)` : '';
+            return [`${path}.name: unknown rule "${ruleName}"${hint}`];
+        }
+        if (typeof rule === 'object') {
+            if (rule.params !== undefined && (rule.params === null || typeof rule.params !== 'object')) {
+                return [`${path}.params: must be an object`];
+            }
+            if (rule.message !== undefined && typeof rule.message !== 'string') {
+                return [`${path}.message: must be a string`];
+            }
+            if (rule.severity !== undefined && !FormValidator.SEVERITIES.includes(rule.severity)) {
+                return [`${path}.severity: must be one of ${FormValidator.SEVERITIES.join(', ')}`];
+            }
+            return [
+                ...this.validateSchemaCondition(rule.when, `${path}.when`),
+                ...this.validateSchemaCondition(rule.unless, `${path}.unless`)
+            ];
+        }
+        return [];
+    }
+
+    /**
+     * Check a declarative `when`/`unless` condition of a schema
+     * @param {array|object|undefined} condition - Condition, if any
+     * @param {string} path - Path used in reported problems
+     * @returns {array} Problems found
+     */
+    validateSchemaCondition(condition, path) {
+        if (condition === undefined) return [];
+        if (Array.isArray(condition)) {
+            return condition.flatMap((part, index) => this.validateSchemaCondition(part, `${path}[${index}]`));
+        }
+        if (!condition || typeof condition !== 'object' || typeof condition.field !== 'string') {
+            return [`${path}: must be an object with a "field" name, or an array of them`];
+        }
+        if (('in' in condition && !Array.isArray(condition.in)) || ('notIn' in condition && !Array.isArray(condition.notIn))) {
+            return [`${path}: "in" and "notIn" must be arrays`];
+        }
+        return [];
+    }
+
+    /**
+     * Export the current field configuration as a form schema
+     * @returns {object} JSON-serializable schema accepted by loadSchema
+     */
+    exportSchema() {
+        const info = this.schemaInfo || { groups: [], messages: {} };
+        const schema = { version: FormValidator.SCHEMA_VERSION };
+
+        if (info.id) schema.id = info.id;
+        if (info.groups.length > 0) schema.groups = info.groups;
+        if (Object.keys(info.messages).length > 0) schema.messages = info.messages;
+
+        schema.fields = Array.from(this.fieldConfigs.entries()).map(([name, config]) => {
+            const field = { name, type: config.type || 'text' };
+
+            ['label', 'group', 'default', 'placeholder', 'options', 'messages', 'when', 'unless', 'dependsOn'].forEach(key => {
+                if (config[key] !== undefined) field[key] = config[key];
+            });
+
+            // Function steps cannot be serialized; register them with addTransformer to export
+            if (config.transform) {
+                const steps = [].concat(config.transform).filter(step => typeof step !== 'function');
+                if (steps.length > 0) field.transform = steps;
+            }
+
+            field.rules = (config.rules || []).map(entry => {
+                const rule = this.normalizeRule(entry);
+                const exported = { name: rule.name };
+                if (Object.keys(rule.params).length > 0) exported.params = rule.params;
+                ['message', 'when', 'unless'].forEach(key => {
+                    if (rule[key]) exported[key] = rule[key];
+                });
+                if (rule.severity !== (this.ruleSeverities.get(rule.name) || 'error')) {
+                    exported.severity = rule.severity;
+                }
+                return Object.keys(exported).length === 1 ? rule.name : exported;
+            });
+
+            return field;
+        });
+
+        return schema;
     }
 
     /**
@@ -290,6 +1615,17 @@ class FormValidator {
     }
 }
 
+// Supported form schema format
+FormValidator.SCHEMA_VERSION = 1;
+// Result severities; only 'error' makes a field invalid
+FormValidator.SEVERITIES = ['error', 'warning', 'info'];
+
+// Rule params whose value may name another configured field
+// (matchField always names one and is handled separately)
+FormValidator.FIELD_REFERENCE_PARAMS = ['group', 'field', 'after', 'before', 'min', 'max', 'countryField', 'currencyField', 'documentType', 'similarTo'];
+
+FormValidator.SCHEMA_FIELD_TYPES = ['text', 'email', 'tel', 'number', 'url', 'password', 'date', 'time', 'datetime-local', 'select'];
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = FormValidator;
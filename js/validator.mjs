@@ -0,0 +1,9 @@
+/**
+ * ES module entry point for the validation core
+ * Re-exports the CommonJS build so both module systems share one implementation
+ */
+
+import FormValidator from './validator.js';
+
+export { FormValidator };
+export default FormValidator;
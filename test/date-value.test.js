@@ -0,0 +1,128 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const DateValue = require('../js/date-value.js');
+const FormValidator = require('../js/validator.js');
+
+// Wednesday 15 January 2025, 10:30 local time
+const now = new Date(2025, 0, 15, 10, 30);
+
+const check = (value, kind, options = {}, formData = {}) => DateValue.validate(value, kind, options, formData, now);
+
+describe('DateValue', () => {
+    test('parses ISO dates and times strictly', () => {
+        assert.equal(check('2025-02-30', 'date').reason, 'format');
+        assert.equal(check('2024-02-29', 'date').valid, true);
+        assert.equal(check('24:00', 'time').reason, 'format');
+        assert.equal(check('2025-01-15T10:30Z', 'dateTime').reason, 'format');
+        assert.equal(check('2025-01-15 10:30', 'dateTime').valid, true);
+        assert.deepEqual(check('2025-12-31', 'date').params, { iso: '2025-12-31', weekday: 'wed' });
+    });
+
+    test('checks inclusive bounds relative to today', () => {
+        assert.equal(check('2025-01-15', 'date', { max: 'today' }).valid, true);
+        assert.deepEqual(check('2025-01-16', 'date', { max: 'today' }).params, { max: '2025-01-15' });
+        assert.equal(check('2007-01-15', 'date', { max: '-18y' }).valid, true);
+        assert.equal(check('2007-01-16', 'date', { max: '-18y' }).reason, 'max');
+    });
+
+    test('checks exclusive bounds read from other fields', () => {
+        const formData = { inicio: '2025-03-01' };
+
+        assert.equal(check('2025-03-01', 'date', { after: 'inicio' }, formData).reason, 'after');
+        assert.equal(check('2025-03-02', 'date', { after: 'inicio' }, formData).valid, true);
+        assert.equal(check('2025-03-01', 'date', { before: 'inicio' }, formData).reason, 'before');
+    });
+
+    test('checks times and dates with times against now', () => {
+        assert.equal(check('07:59', 'time', { min: '08:00', max: '18:00' }).reason, 'min');
+        assert.equal(check('18:00', 'time', { min: '08:00', max: '18:00' }).valid, true);
+        assert.deepEqual(check('11:00', 'time', { min: 'now+1h' }).params, { min: '11:30' });
+        assert.deepEqual(check('2025-01-17T09:00', 'dateTime', { min: '+2bd' }).params, { min: '2025-01-17T10:30' });
+    });
+
+    test('restricts weekdays and business days', () => {
+        assert.deepEqual(check('2025-01-18', 'date', { weekdays: ['mon', 'wed'] }).params, { weekdays: [1, 3] });
+        assert.equal(check('2025-01-20', 'date', { weekdays: ['mon', 'wed'] }).valid, true);
+        assert.equal(check('2025-01-18', 'date', { businessDay: true }).reason, 'businessDay');
+        assert.equal(check('2025-01-20', 'date', { businessDay: true, holidays: ['2025-01-20'] }).reason, 'businessDay');
+        assert.equal(DateValue.weekdayNumber('miércoles'), 3);
+        assert.equal(DateValue.weekdayNumber('Monday'), 1);
+        assert.equal(DateValue.weekdayNumber('someday'), -1);
+    });
+
+    test('adds months and years up to the end of shorter months, and business days over weekends', () => {
+        const add = (value, amount, unit) => DateValue.format(DateValue.add(DateValue.parse(value), amount, unit));
+
+        assert.equal(add('2025-01-31', 1, 'm'), '2025-02-28');
+        assert.equal(add('2024-02-29', 1, 'y'), '2025-02-28');
+        assert.equal(add('2025-01-17', 1, 'bd'), '2025-01-20');
+    });
+
+    test('computes exact ages, with 29 February birthdays on 1 March', () => {
+        assert.equal(DateValue.age('2008-02-29', '2025-02-28'), 16);
+        assert.equal(DateValue.age('2008-02-29', '2025-03-01'), 17);
+        assert.equal(DateValue.age('2000-01-15', '2025-01-15'), 25);
+        assert.equal(DateValue.age('not a date', '2025-01-15'), null);
+    });
+
+    test('ignores bounds it cannot read, with a warning', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        assert.equal(check('2025-01-15', 'date', { min: 'someday' }).valid, true);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    test('shows dates in a locale', () => {
+        assert.equal(DateValue.toDisplay('2025-12-31', 'date', 'es'), '31/12/2025');
+        assert.equal(DateValue.toDisplay('2025-12-31', 'date', 'en-US'), '12/31/2025');
+    });
+
+    describe('date rules', () => {
+        test('explain failures with the bounds in the active locale', () => {
+            const validator = new FormValidator();
+            validator.configureFields({
+                inicio: { rules: ['date'] },
+                cierre: { rules: [{ name: 'date', params: { after: 'inicio' } }] },
+                hora: { rules: [{ name: 'time', params: { min: '08:00' } }] },
+                visita: { rules: [{ name: 'datetimeLocal', params: { max: '2025-01-01T00:00' } }] },
+                dia: { rules: [{ name: 'date', params: { weekdays: ['mon', 'wed'] } }] }
+            });
+            const messages = (field, value, formData = {}) => validator.validateField(field, value, formData).errors.map(error => error.message);
+
+            assert.deepEqual(messages('inicio', '2025-02-30'), ['Please enter a valid date']);
+            assert.deepEqual(messages('cierre', '2025-03-01', { inicio: '2025-03-01' }), ['The date must be after 03/01/2025']);
+            assert.deepEqual(messages('hora', '07:00'), ['The time must be 08:00 AM or later']);
+            assert.deepEqual(messages('visita', '2025-01-02T00:00'), ['Must be 01/01/2025, 12:00 AM or earlier']);
+            assert.deepEqual(messages('dia', '2025-01-18'), ['Choose a Monday or Wednesday']);
+            assert.deepEqual(validator.getDependentFields('inicio'), ['cierre']);
+        });
+
+        test('keep dateRange as an alias of date', () => {
+            const validator = new FormValidator();
+            validator.configureField('desde', { rules: [{ name: 'dateRange', params: { min: '2025-01-01' } }] });
+
+            assert.deepEqual(validator.validateField('desde', '2024-12-31', {}).errors.map(error => error.message), ['The date must be 01/01/2025 or later']);
+        });
+
+        test('check ages typed as numbers or computed from birth dates', () => {
+            const validator = new FormValidator();
+            validator.configureField('age', { rules: [{ name: 'age', params: { min: 18, max: 65 } }] });
+            const messages = value => validator.validateField('age', value, {}).errors.map(error => error.message);
+
+            assert.deepEqual(messages('30'), []);
+            assert.deepEqual(messages('17'), ['Please enter a valid age between 18 and 65']);
+            assert.deepEqual(messages('1950-01-01'), ['The age cannot be over 65 years']);
+            assert.deepEqual(messages('2100-01-01'), ['You must be at least 18 years old']);
+        });
+
+        test('transform dates into local midnight', () => {
+            const validator = new FormValidator();
+            validator.configureField('fecha', { transform: ['date'], rules: [] });
+
+            const { fecha } = validator.validateForm({ fecha: '2025-03-01' }).data;
+
+            assert.ok(fecha instanceof Date);
+            assert.deepEqual([fecha.getFullYear(), fecha.getMonth(), fecha.getDate(), fecha.getHours()], [2025, 2, 1, 0]);
+        });
+    });
+});
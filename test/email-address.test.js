@@ -0,0 +1,61 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const EmailAddress = require('../js/email-address.js');
+const FormValidator = require('../js/validator.js');
+
+describe('EmailAddress', () => {
+    test('accepts dot-separated local parts and host names', () => {
+        assert.deepEqual(EmailAddress.validate('ana.maria@sub.example.co'), {
+            valid: true,
+            reason: null,
+            params: { local: 'ana.maria', domain: 'sub.example.co', ascii: 'sub.example.co' }
+        });
+        assert.equal(EmailAddress.validate('ñandú@example.com').reason, null);
+    });
+
+    test('checks internationalized domains in their punycode form', () => {
+        assert.equal(EmailAddress.validate('ana@bücher.de').params.ascii, 'xn--bcher-kva.de');
+    });
+
+    test('rejects malformed addresses', () => {
+        ['ana', 'ana..b@example.com', '.ana@example.com', 'ana@example', 'ana@-example.com', 'ana@exa_mple.com', '"ana b"@example.com']
+            .forEach(value => assert.equal(EmailAddress.validate(value).reason, 'format', value));
+    });
+
+    test('limits the local part to 64 bytes and the address to 254 characters', () => {
+        const domain = `${'b'.repeat(63)}.${'c'.repeat(63)}.${'d'.repeat(60)}.com`;
+
+        assert.equal(EmailAddress.validate(`${'a'.repeat(64)}@example.com`).reason, null);
+        assert.deepEqual(EmailAddress.validate(`${'a'.repeat(65)}@example.com`).params, { max: 64 });
+        assert.equal(EmailAddress.validate(`${'a'.repeat(64)}@${domain}`).reason, 'length');
+    });
+
+    test('applies the plus, domain and disposable options', () => {
+        assert.equal(EmailAddress.validate('ana+news@example.com').reason, null);
+        assert.equal(EmailAddress.validate('ana+news@example.com', { allowPlus: false }).reason, 'plus');
+        assert.equal(EmailAddress.validate('ana@ventas.empresa.com', { domains: ['empresa.com'] }).reason, null);
+        assert.equal(EmailAddress.validate('ana@otraempresa.com', { domains: ['empresa.com'] }).reason, 'domain');
+        assert.equal(EmailAddress.validate('ana@mailinator.com').reason, null);
+        assert.equal(EmailAddress.validate('ana@mailinator.com', { allowDisposable: false }).reason, 'disposable');
+        assert.equal(EmailAddress.validate('ana@sub.mailinator.com', { allowDisposable: false }).reason, 'disposable');
+    });
+
+    test('suggests fixes for misspelled providers only', () => {
+        assert.equal(EmailAddress.suggest('ana@gmial.com'), 'ana@gmail.com');
+        assert.equal(EmailAddress.suggest('ana@hotmial.com'), 'ana@hotmail.com');
+        assert.equal(EmailAddress.suggest('ana@gmail.com'), null);
+        assert.equal(EmailAddress.suggest('ana@empresa.co'), null);
+    });
+
+    describe('email rules', () => {
+        test('report the failed option and warn about typos', () => {
+            const validator = new FormValidator();
+            validator.configureField('email', { rules: [{ name: 'email', params: { domains: ['empresa.com'] } }, 'emailSuggestion'] });
+
+            const result = validator.validateField('email', 'ana@gmial.com', {});
+
+            assert.deepEqual(result.errors.map(error => error.message), ['Use an address from empresa.com']);
+            assert.deepEqual(result.warnings.map(warning => warning.message), ['Did you mean ana@gmail.com?']);
+        });
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const FormHandler = require('../js/form-handler.js');
+const FormValidator = require('../js/validator.js');
+const EventEmitter = require('../js/event-emitter.js');
+
+/**
+ * A FormHandler for field registration only: addField() needs the form,
+ * the validator and the events, not a DOM
+ * @returns {FormHandler} Handler
+ */
+function createHandler() {
+    const handler = Object.create(FormHandler.prototype);
+    Object.assign(handler, {
+        form: { contains: () => true },
+        validator: new FormValidator(),
+        events: new EventEmitter(),
+        fields: new Map()
+    });
+    return handler;
+}
+
+describe('FormHandler#addField', () => {
+    test('registers a field that only has a transform', () => {
+        const handler = createHandler();
+        const element = { name: 'codigo', type: 'text', tagName: 'INPUT', dataset: {}, value: '  ab-12 ' };
+
+        handler.addField('codigo', element, { transform: ['trim', 'uppercase'] });
+
+        assert.equal(handler.validator.transformValue('codigo', element.value), 'AB-12');
+    });
+});
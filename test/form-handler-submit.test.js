@@ -0,0 +1,195 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const FormHandler = require('../js/form-handler.js');
+const EventEmitter = require('../js/event-emitter.js');
+
+// Stub API: each request takes the next queued reply
+let server;
+let endpoint;
+let replies = [];
+let requests = [];
+
+function reply(status, body) {
+    return (request, response) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+    };
+}
+
+/**
+ * A FormHandler for the submit pipeline only: submit() needs the form's
+ * attributes and buttons, the events and the fields, not a DOM
+ * @param {object} submitOptions - options.submit overrides
+ * @returns {FormHandler} Handler
+ */
+function createHandler(submitOptions = {}) {
+    const attributes = new Map();
+    const button = { disabled: false, classList: new Set() };
+    button.classList.remove = button.classList.delete;
+
+    const handler = Object.create(FormHandler.prototype);
+    Object.assign(handler, {
+        form: {
+            getAttribute: name => (attributes.has(name) ? attributes.get(name) : null),
+            setAttribute: (name, value) => attributes.set(name, value),
+            removeAttribute: name => attributes.delete(name),
+            querySelector: () => null,
+            querySelectorAll: () => [button]
+        },
+        options: { submit: { endpoint, retryDelay: 1, ...submitOptions } },
+        events: new EventEmitter(),
+        fields: new Map([['nit', { element: { name: 'nit' } }]]),
+        summaryErrors: new Map(),
+        validationResults: { isValid: true },
+        errorSummary: null,
+        pendingSubmit: null,
+        submitController: null,
+        submitButtons: [],
+        draft: null,
+        button
+    });
+    handler.shownErrors = [];
+    handler.displayFieldValidation = (element, result) => handler.shownErrors.push([element.name, result.errors[0].message]);
+    return handler;
+}
+
+describe('FormHandler#submit', () => {
+    before(async () => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => {
+                body += chunk;
+            });
+            request.on('end', () => {
+                requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+                const next = replies.shift() || reply(500);
+                next(request, response);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/api/empresas`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    beforeEach(() => {
+        replies = [];
+        requests = [];
+    });
+
+    test('sends the data as JSON and resolves with the response body', async () => {
+        replies.push(reply(201, { id: 7 }));
+        const handler = createHandler({ headers: { 'X-CSRF-Token': 'abc' } });
+        const events = [];
+        handler.on('submit:success', payload => events.push(payload));
+
+        const pending = handler.submit({ nit: '9001234568' });
+        assert.equal(handler.button.disabled, true);
+        assert.equal(handler.form.getAttribute('aria-busy'), 'true');
+        assert.equal(handler.submit({ nit: 'other' }), pending, 'a second submit reuses the request in flight');
+
+        assert.deepEqual(await pending, { id: 7 });
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].method, 'POST');
+        assert.equal(requests[0].url, '/api/empresas');
+        assert.equal(requests[0].headers['content-type'], 'application/json');
+        assert.equal(requests[0].headers['x-csrf-token'], 'abc');
+        assert.deepEqual(JSON.parse(requests[0].body), { nit: '9001234568' });
+
+        assert.deepEqual(events.map(event => event.response), [{ id: 7 }]);
+        assert.equal(handler.button.disabled, false);
+        assert.equal(handler.form.getAttribute('aria-busy'), null);
+    });
+
+    test('shows the field errors of a 422 response without retrying', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        replies.push(reply(422, { errors: { nit: 'already registered', branch: ['unknown branch'] } }));
+        const handler = createHandler();
+        const events = [];
+        handler.on('submit:error', payload => events.push(payload));
+
+        await assert.rejects(handler.submit({ nit: '9001234568' }), error => error.status === 422);
+
+        assert.equal(requests.length, 1);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].phase, 'server');
+        assert.deepEqual(events[0].fieldErrors, { nit: ['already registered'], branch: ['unknown branch'] });
+        assert.deepEqual(handler.shownErrors, [['nit', 'already registered']]);
+        assert.equal(handler.validationResults.isValid, false);
+        assert.equal(handler.button.disabled, false);
+    });
+
+    test('retries 5xx responses with backoff', async () => {
+        replies.push(reply(503), reply(502), reply(200, { ok: true }));
+        const handler = createHandler({ retries: 2 });
+
+        assert.deepEqual(await handler.submit({ nit: '1' }), { ok: true });
+        assert.equal(requests.length, 3);
+    });
+
+    test('gives up after the last retry', async () => {
+        replies.push(reply(500), reply(500));
+        const handler = createHandler({ retries: 1 });
+        const events = [];
+        handler.on('submit:error', payload => events.push(payload));
+
+        await assert.rejects(handler.submit({ nit: '1' }), error => error.status === 500);
+        assert.equal(requests.length, 2);
+        assert.deepEqual(events[0].fieldErrors, {});
+    });
+
+    test('stops when aborted', async () => {
+        let held;
+        replies.push((request, response) => {
+            held = response;
+        });
+        const handler = createHandler();
+        const events = [];
+        handler.on('submit:abort', payload => events.push(payload));
+        handler.on('submit:error', payload => events.push(payload));
+
+        const pending = handler.submit({ nit: '1' });
+        while (requests.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        handler.abortSubmit();
+
+        await assert.rejects(pending, error => error.name === 'AbortError');
+        assert.deepEqual(events, [{ data: { nit: '1' } }]);
+        assert.equal(handler.pendingSubmit, null);
+        assert.equal(handler.button.disabled, false);
+        held.end();
+    });
+
+    test('aborts the wait before a retry', async () => {
+        replies.push(reply(503));
+        const handler = createHandler({ retries: 3, retryDelay: 10000 });
+
+        const pending = handler.submit({ nit: '1' });
+        while (requests.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        setTimeout(() => handler.abortSubmit(), 20);
+
+        await assert.rejects(pending, error => error.name === 'AbortError');
+        assert.equal(requests.length, 1);
+    });
+    test('does not retry when aborted while the response body is read', async () => {
+        replies.push(reply(503), reply(200, { ok: true }));
+        // A transport that ignores the signal, so only the wait can stop the retry
+        const transport = ({ url, method, headers, body }) => fetch(url, { method, headers, body });
+        const handler = createHandler({ retries: 1, transport });
+        const readResponseBody = handler.readResponseBody;
+        handler.readResponseBody = function (response) {
+            this.abortSubmit();
+            return readResponseBody.call(this, response);
+        };
+
+        await assert.rejects(handler.submit({ nit: '1' }), error => error.name === 'AbortError');
+        assert.equal(requests.length, 1);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const InputMask = require('../js/input-mask.js');
+const FormValidator = require('../js/validator.js');
+
+describe('InputMask', () => {
+    test('formats a NIT from the right, whatever its length', () => {
+        const nit = InputMask.createDefinition('nit');
+
+        assert.equal(nit.format('9001234567'), '900.123.456-7');
+        assert.equal(nit.format('800123456'), '80.012.345-6');
+        assert.equal(nit.format('80.012.345-6'), '80.012.345-6');
+        assert.equal(nit.unmask('80.012.345-6'), '800123456');
+        assert.equal(nit.format('8'), '8');
+        assert.equal(nit.format('10203040501'), '1.020.304.050-1');
+        assert.equal(nit.unmask('1.020.304.050-1'), '10203040501');
+    });
+
+    test('keeps the leading + of international phone numbers for the phone rule', () => {
+        const phone = InputMask.createDefinition('internationalPhone');
+        const validator = new FormValidator();
+        validator.configureField('telefono', {
+            transform: [{ name: 'e164', params: { region: 'CO' } }],
+            rules: [{ name: 'phone', params: { region: 'CO' } }]
+        });
+        const validate = typed => validator.validateField('telefono', phone.unmask(phone.format(typed)), {});
+
+        assert.equal(phone.format('+34 612 34 56 78'), '+34 612 34 56 78');
+        assert.equal(phone.unmask('+34 612 34 56 78'), '+34612345678');
+        assert.equal(validate('+34 612 34 56 78').details.phone.region, 'ES');
+        assert.equal(validate('+54 9 11 2345 6789').details.phone.region, 'AR');
+        assert.equal(phone.format('3001234567'), '3001234567');
+        assert.equal(validate('3001234567').details.phone.e164, '+573001234567');
+    });
+});
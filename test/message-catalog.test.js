@@ -0,0 +1,70 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const MessageCatalog = require('../js/message-catalog.js');
+
+describe('MessageCatalog', () => {
+    test('formats messages in the active locale', () => {
+        const catalog = new MessageCatalog('es');
+
+        assert.equal(catalog.format('required'), 'Este campo es obligatorio');
+        assert.equal(catalog.format('date.after', { after: '01/02/2024' }), 'La fecha debe ser posterior al 01/02/2024');
+    });
+
+    test('translates every built-in message, rule pack reasons included', () => {
+        const keys = Object.keys(MessageCatalog.BUILT_IN.en);
+
+        Object.entries(MessageCatalog.BUILT_IN).forEach(([locale, messages]) => {
+            assert.deepEqual(keys.filter(key => !(key in messages)), [], locale);
+        });
+        assert.ok(keys.includes('taxId.checkDigit'));
+    });
+
+    test('falls back from a regional locale to its language, then to the fallback locale', () => {
+        const catalog = new MessageCatalog('es-CO');
+        catalog.addMessages('en', { onlyInEnglish: 'English only' });
+
+        assert.equal(catalog.format('required'), 'Este campo es obligatorio');
+        assert.equal(catalog.format('onlyInEnglish'), 'English only');
+        assert.equal(catalog.format('unknown'), null);
+        assert.equal(catalog.has('onlyInEnglish'), false);
+    });
+
+    test('picks plural forms', () => {
+        const en = new MessageCatalog('en');
+        const es = new MessageCatalog('es');
+
+        assert.equal(en.format('minLength', { length: 1 }), 'Must be at least 1 character long');
+        assert.equal(en.format('minLength', { length: 3 }), 'Must be at least 3 characters long');
+        assert.equal(es.format('minItems', { min: 1 }), 'Seleccione al menos 1 opción');
+        assert.equal(es.format('minItems', { min: 2 }), 'Seleccione al menos 2 opciones');
+    });
+
+    test('lets added messages override the built-in ones', () => {
+        const catalog = new MessageCatalog('es');
+        catalog.addMessages('es', { required: 'Obligatorio' });
+
+        assert.equal(catalog.format('required'), 'Obligatorio');
+        assert.equal(catalog.format('email'), 'Ingrese un correo electrónico válido');
+    });
+
+    describe('interpolate', () => {
+        test('replaces every occurrence of a placeholder', () => {
+            const catalog = new MessageCatalog();
+
+            assert.equal(catalog.interpolate('{a} and {a}, not {b}', { a: 'x' }), 'x and x, not {b}');
+        });
+
+        test('inserts values literally', () => {
+            const catalog = new MessageCatalog();
+
+            assert.equal(catalog.interpolate('Price: {label}', { label: 'US$& more' }), 'Price: US$& more');
+            assert.equal(catalog.interpolate('{a}', { a: "$1 $' $`" }), "$1 $' $`");
+        });
+
+        test('leaves placeholders for empty and object values', () => {
+            const catalog = new MessageCatalog();
+
+            assert.equal(catalog.interpolate('{a}{b}{c}', { a: '', b: null, c: { x: 1 } }), '{a}{b}{c}');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const Money = require('../js/money.js');
+const InputMask = require('../js/input-mask.js');
+const FormValidator = require('../js/validator.js');
+
+const amount = (value, options) => Money.parse(value, options).params.amount;
+
+describe('Money', () => {
+    test('parses amounts as people type them, in minor units', () => {
+        assert.equal(amount('1.000.000,50', { currency: 'COP' }), 100000050);
+        assert.equal(amount('1,000,000.50', { currency: 'COP' }), 100000050);
+        assert.equal(amount('$ 1.500', { currency: 'COP' }), 150000);
+        assert.equal(amount('R$ 1.234,56', { currency: 'BRL' }), 123456);
+        assert.equal(amount('1 000,50 €', { currency: 'EUR' }), 100050);
+        assert.deepEqual(Money.parse('COP 1.500').params, { currency: 'COP', precision: 2, amount: 150000 });
+    });
+
+    test('accepts numbers and { amount, currency } objects', () => {
+        assert.equal(amount(1234.5, { currency: 'USD' }), 123450);
+        assert.equal(amount({ amount: 150, currency: 'USD' }, { currency: 'USD' }), 150);
+        assert.equal(Money.validate({ amount: 150, currency: 'EUR' }, { currency: 'USD' }).reason, 'currency');
+    });
+
+    test('reads a lone separator before three digits as thousands, except in three-decimal currencies', () => {
+        assert.equal(amount('15.000', { currency: 'CLP', locale: 'en' }), 15000);
+        assert.equal(amount('1.999', { currency: 'USD', locale: 'en' }), 199900);
+        assert.equal(amount('1.000', { currency: 'KWD', locale: 'es' }), 1000000);
+        assert.equal(amount('1.000', { currency: 'KWD', locale: 'en' }), 1000);
+    });
+
+    test('reads negative amounts with the sign on either side', () => {
+        assert.equal(amount('-$1.000', { currency: 'USD' }), -100000);
+        assert.equal(amount('1,000.50-', { currency: 'USD' }), -100050);
+        assert.equal(Money.validate('-5', { currency: 'USD' }).reason, 'negative');
+        assert.equal(Money.validate('-5', { currency: 'USD', allowNegative: true }).reason, null);
+    });
+
+    test('explains failures', () => {
+        ['abc', '--5', '1,2,3', '1.00.000'].forEach(value => assert.equal(Money.validate(value, { currency: 'USD' }).reason, 'format', value));
+        assert.equal(Money.validate('USD 5', { currency: 'COP' }).reason, 'currency');
+        assert.equal(Money.validate('5', { currency: 'ZZZ' }).reason, 'currency');
+        assert.deepEqual(Money.validate('1.505,123', { currency: 'USD' }).params, { currency: 'USD', precision: 2 });
+        assert.equal(Money.validate('1.505,123', { currency: 'USD' }).reason, 'precision');
+        assert.equal(Money.validate('15,5', { currency: 'CLP' }).reason, 'integer');
+    });
+
+    test('checks bounds in major units', () => {
+        assert.deepEqual(Money.validate('999,99', { currency: 'COP', min: 1000 }).params, { currency: 'COP', precision: 2, amount: 99999, min: 100000 });
+        assert.equal(Money.validate('0.005', { currency: 'KWD', max: 0.004 }).reason, 'max');
+    });
+
+    test('knows the decimals of each currency', () => {
+        assert.deepEqual(['KWD', 'JPY', 'XAF', 'COP'].map(Money.precision), [3, 0, 0, 2]);
+        assert.equal(Money.isCurrency('XAF'), true);
+        assert.equal(Money.isCurrency('ZZZ'), false);
+    });
+
+    test('formats amounts in a locale', () => {
+        assert.equal(Money.format({ amount: 100000050, currency: 'COP' }, 'es-CO'), '$\u00a01.000.000,50');
+        assert.equal(Money.format({ amount: 1500, currency: 'CLP' }, 'es-CL'), '$1.500');
+    });
+
+    describe('money rule', () => {
+        test('transforms amounts and shows bounds in the rule locale', () => {
+            const validator = new FormValidator({ locale: 'es' });
+            validator.configureField('capitalSocial', {
+                transform: [{ name: 'money', params: { currency: 'COP' } }],
+                rules: ['required', { name: 'money', params: { currency: 'COP', locale: 'es-CO', min: 1000 } }]
+            });
+
+            assert.deepEqual(validator.transformValue('capitalSocial', '1.000.000,50', {}), { amount: 100000050, currency: 'COP' });
+            assert.deepEqual(validator.validateField('capitalSocial', '999,99', {}).errors.map(error => error.message), ['El monto debe ser de al menos $\u00a01.000,00']);
+            assert.equal(validator.validateField('capitalSocial', { amount: 100000, currency: 'COP' }, {}).isValid, true);
+        });
+
+        test('reads the currency from another field', () => {
+            const validator = new FormValidator();
+            validator.configureField('precio', { rules: [{ name: 'money', params: { currencyField: 'moneda', max: 100 } }] });
+            const messages = (value, moneda) => validator.validateField('precio', value, { moneda }).errors.map(error => error.message);
+
+            assert.deepEqual(messages('15,5', 'CLP'), ['CLP amounts have no decimals']);
+            assert.deepEqual(messages('150', 'USD'), ['The amount cannot exceed $100.00']);
+            assert.deepEqual(messages('-5', 'USD'), ['The amount cannot be negative']);
+            assert.deepEqual(messages('99.99', 'USD'), []);
+        });
+
+        test('leaves amounts it cannot parse to the rule', () => {
+            const validator = new FormValidator();
+            validator.configureField('precio', { transform: [{ name: 'money', params: { currency: 'USD' } }], rules: [] });
+
+            assert.deepEqual(validator.validateForm({ precio: '1,2,3' }).data, { precio: '1,2,3' });
+        });
+
+        test('reads three-decimal amounts unmasked by a currency mask', () => {
+            const mask = InputMask.createDefinition('currency', { thousands: '.', decimal: ',', precision: 3 });
+            const validator = new FormValidator({ locale: 'es' });
+            const params = { currency: 'KWD', decimal: '.' };
+            validator.configureField('precio', { transform: [{ name: 'money', params }], rules: [{ name: 'money', params: { ...params, max: 2000 } }] });
+            const unmasked = mask.unmask(mask.format('1.000,500'));
+
+            assert.equal(unmasked, '1000.500');
+            assert.deepEqual(validator.transformValue('precio', unmasked, {}), { amount: 1000500, currency: 'KWD' });
+            assert.equal(validator.validateField('precio', unmasked, {}).isValid, true);
+        });
+    });
+});
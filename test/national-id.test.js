@@ -0,0 +1,70 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const NationalId = require('../js/national-id.js');
+const FormValidator = require('../js/validator.js');
+
+describe('NationalId', () => {
+    test('checks both Brazilian CPF digits and rejects repeated digits', () => {
+        assert.equal(NationalId.validate('52998224725', 'BR_CPF').reason, null);
+        assert.equal(NationalId.validate('529.982.247-24', 'BR_CPF').reason, 'checkDigit');
+        assert.equal(NationalId.validate('111.111.111-11', 'BR_CPF').reason, 'format');
+        assert.equal(NationalId.validate('11.222.333/0001-82', 'BR_CNPJ').reason, 'checkDigit');
+    });
+
+    test('checks the date and check character of Mexican CURP and RFC', () => {
+        assert.equal(NationalId.validate('PXNE661320HMCXTN06', 'MX_CURP').reason, 'format');
+        assert.equal(NationalId.validate('PXNE660720HMCXTN07', 'MX_CURP').reason, 'checkDigit');
+        assert.equal(NationalId.validate('XAXX010101000', 'MX_RFC').reason, null);
+        assert.equal(NationalId.validate('ABC680524P76', 'MX_RFC').reason, 'checkDigit');
+    });
+
+    test('checks Spanish control letters', () => {
+        assert.equal(NationalId.validate('12345678A', 'ES_DNI').reason, 'checkDigit');
+        assert.equal(NationalId.validate('y1234567x', 'ES_NIE').reason, null);
+        assert.equal(NationalId.validate('Z1234567L', 'ES_NIE').reason, 'checkDigit');
+    });
+
+    test('checks the CIF control character allowed by the organization type', () => {
+        // Either for C, a digit only for A, B, E and H, a letter only for K, P, Q, R, S, N and W
+        assert.equal(NationalId.validate('C58818501', 'ES_CIF').reason, null);
+        assert.equal(NationalId.validate('C5881850A', 'ES_CIF').reason, null);
+        assert.equal(NationalId.validate('B5881850A', 'ES_CIF').reason, 'checkDigit');
+        assert.equal(NationalId.validate('Q2826000H', 'ES_CIF').reason, null);
+        assert.equal(NationalId.validate('Q28260008', 'ES_CIF').reason, 'checkDigit');
+        assert.equal(NationalId.validate('R2800000H', 'ES_CIF').reason, null);
+        assert.equal(NationalId.validate('R28000008', 'ES_CIF').reason, 'checkDigit');
+    });
+
+    test('checks Chilean RUNs like RUTs', () => {
+        assert.equal(NationalId.validate('10.000.013-K', 'CL_RUN').reason, null);
+        assert.equal(NationalId.validate('12.345.678-K', 'CL_RUN').reason, 'checkDigit');
+    });
+
+    test('only checks the format of documents without a check digit', () => {
+        assert.equal(NationalId.validate('1.020.304.050', 'CO_CC').reason, null);
+        assert.equal(NationalId.validate('12345', 'CO_CC').reason, 'format');
+        assert.equal(NationalId.validate('abc', 'PASSPORT').reason, 'format');
+    });
+
+    test('rejects unknown document types', () => {
+        assert.deepEqual(NationalId.validate('123', 'XX_ID'), { valid: false, reason: 'type', params: { documentType: 'XX_ID' } });
+    });
+
+    describe('nationalId rule', () => {
+        test('reads the document type from another field', () => {
+            const validator = new FormValidator();
+            validator.configureFields({
+                documentType: { rules: [] },
+                documentNumber: { rules: [{ name: 'nationalId', params: { documentType: 'documentType' } }] }
+            });
+            const messages = (value, documentType) => validator.validateField('documentNumber', value, { documentType })
+                .errors.map(error => error.message);
+
+            assert.deepEqual(messages('529.982.247-25', 'BR_CPF'), []);
+            assert.deepEqual(messages('529.982.247-24', 'BR_CPF'), ['The CPF check digit is not valid']);
+            assert.deepEqual(messages('12', 'BR_CPF'), ['The CPF format is not valid, e.g. 529.982.247-25']);
+            assert.deepEqual(messages('12', ''), ['Select the document type']);
+            assert.deepEqual(validator.getDependentFields('documentType'), ['documentNumber']);
+        });
+    });
+});
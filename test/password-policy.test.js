@@ -0,0 +1,87 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordPolicy = require('../js/password-policy.js');
+const FormValidator = require('../js/validator.js');
+
+describe('PasswordPolicy', () => {
+    test('passes a password that meets every requirement and reports its score', () => {
+        const outcome = PasswordPolicy.evaluate('Tr0ub4dor&3x');
+
+        assert.equal(outcome.valid, true);
+        assert.equal(outcome.params.score, 3);
+        assert.deepEqual(outcome.params.requirements, ['minLength', 'uppercase', 'lowercase', 'number', 'special']);
+    });
+
+    test('lists every failed requirement, the first one as the reason', () => {
+        const outcome = PasswordPolicy.evaluate('abc');
+
+        assert.equal(outcome.reason, 'minLength');
+        assert.deepEqual(outcome.params.failed, ['minLength', 'uppercase', 'number', 'special']);
+    });
+
+    test('checks the length limits', () => {
+        assert.equal(PasswordPolicy.evaluate('xxxxxA1!', { maxLength: 6 }).reason, 'maxLength');
+        assert.deepEqual(PasswordPolicy.evaluate('xxxxxA1!', { maxLength: 6 }).params.requirements, ['minLength', 'maxLength', 'uppercase', 'lowercase', 'number', 'special']);
+    });
+
+    test('rejects common passwords, also in l33t speak with a suffix', () => {
+        assert.equal(PasswordPolicy.evaluate('P@ssw0rd2024!').reason, 'common');
+        assert.deepEqual(PasswordPolicy.findCommon('p@ssw0rd2024!'), { word: 'password', rank: 0 });
+        assert.equal(PasswordPolicy.evaluate('password', {
+            allowCommon: true,
+            requireUppercase: false,
+            requireNumbers: false,
+            requireSpecialChars: false
+        }).valid, true);
+    });
+
+    test('rejects forbidden words and values of the fields in similarTo', () => {
+        const forbidden = PasswordPolicy.evaluate('Acme!2024xyzQ', { forbiddenWords: ['acme'] });
+        const similar = PasswordPolicy.evaluate('Marianela#2024x', { similarTo: ['username'] }, { username: 'marianela' });
+
+        assert.equal(forbidden.reason, 'forbidden');
+        assert.equal(forbidden.params.word, 'acme');
+        assert.equal(similar.reason, 'similar');
+        assert.equal(similar.params.field, 'username');
+        assert.equal(similar.params.score, 1);
+        assert.equal(PasswordPolicy.isSimilar('xana.maria99', 'ana.maria@example.com'), true);
+    });
+
+    test('compares with no fields unless similarTo lists them', () => {
+        assert.equal(PasswordPolicy.evaluate('Marianela#2024x', {}, { username: 'marianela' }).valid, true);
+    });
+
+    test('applies presets under explicit options', () => {
+        assert.equal(PasswordPolicy.evaluate('Kx9!mQ2#vL7', { policy: 'strong' }).reason, 'minLength');
+        assert.equal(PasswordPolicy.evaluate('Kx9!mQ2#vL7@', { policy: 'strong' }).valid, true);
+        assert.equal(PasswordPolicy.evaluate('Kx9!mQ2#vL7@', { policy: 'strong', minScore: 4 }).reason, 'score');
+    });
+
+    test('scores predictable patterns as weak', () => {
+        assert.deepEqual(PasswordPolicy.findPatterns('qwerty123abab'), [
+            { type: 'keyboard', start: 0, length: 6 },
+            { type: 'sequence', start: 6, length: 3 },
+            { type: 'repeat', start: 9, length: 4 }
+        ]);
+        assert.equal(PasswordPolicy.evaluate('aaaaaaaaA1!').params.score, 0);
+        assert.equal(PasswordPolicy.evaluate('Abcdefgh1!').params.score, 0);
+        assert.equal(PasswordPolicy.evaluate('Kx9!mQ2#vL7@pZ4$').params.score, 4);
+    });
+
+    describe('password rule', () => {
+        test('names the similar field by its label and reports passing scores', () => {
+            const validator = new FormValidator();
+            validator.configureFields({
+                username: { label: 'Username', rules: [] },
+                password: { rules: [{ name: 'password', params: { similarTo: ['username'] } }] }
+            });
+
+            const similar = validator.validateField('password', 'Marianela#2024x', { username: 'marianela' });
+            const strong = validator.validateField('password', 'Tr0ub4dor&3x', { username: 'marianela' });
+
+            assert.deepEqual(similar.errors.map(error => error.message), ['The password is too similar to Username']);
+            assert.equal(strong.details.password.score, 3);
+            assert.deepEqual(validator.getDependentFields('username'), ['password']);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const PhoneNumber = require('../js/phone-number.js');
+const FormValidator = require('../js/validator.js');
+
+describe('PhoneNumber', () => {
+    test('parses national numbers with a default region', () => {
+        assert.deepEqual(PhoneNumber.parse('300 123 4567', 'CO').params, {
+            region: 'CO',
+            example: '+57 300 123 4567',
+            type: 'mobile',
+            e164: '+573001234567'
+        });
+        assert.equal(PhoneNumber.parse('601 234 5678', 'co').params.type, 'landline');
+    });
+
+    test('accepts the calling code without +, 00 instead of +, and region aliases', () => {
+        assert.equal(PhoneNumber.parse('573001234567', 'CO').params.e164, '+573001234567');
+        assert.equal(PhoneNumber.parse('0044 7700 900123').params.e164, '+447700900123');
+        assert.equal(PhoneNumber.parse('020 7946 0958', 'UK').params.region, 'GB');
+    });
+
+    test('drops the trunk prefix', () => {
+        assert.equal(PhoneNumber.parse('+44 (0)20 7946 0958').params.e164, '+442079460958');
+        assert.equal(PhoneNumber.parse('020 7946 0958', 'GB').params.e164, '+442079460958');
+    });
+
+    test('tells regions sharing a calling code apart', () => {
+        assert.equal(PhoneNumber.parse('+1 416 555 0123').params.region, 'CA');
+        assert.equal(PhoneNumber.parse('+1 212 555 0123').params.region, 'US');
+    });
+
+    test('explains failures', () => {
+        assert.equal(PhoneNumber.parse('abc', 'CO').reason, 'format');
+        assert.equal(PhoneNumber.parse('3001234567').reason, 'region');
+        assert.equal(PhoneNumber.parse('+999 123').reason, 'code');
+        assert.equal(PhoneNumber.parse('300-123', 'CO').reason, 'length');
+        assert.equal(PhoneNumber.parse('200 123 4567', 'CO').reason, 'prefix');
+    });
+
+    describe('phone rule', () => {
+        test('reports the detected number in the field details', () => {
+            const validator = new FormValidator();
+            validator.configureField('phone', {
+                transform: [{ name: 'e164', params: { region: 'CO' } }],
+                rules: [{ name: 'phone', params: { region: 'CO' } }]
+            });
+
+            const result = validator.validateField('phone', '601 234 5678', {});
+
+            assert.deepEqual(result.details.phone, { region: 'CO', example: '+57 300 123 4567', type: 'landline', e164: '+576012345678' });
+            assert.deepEqual(validator.validateForm({ phone: '300 123 4567' }).data, { phone: '+573001234567' });
+        });
+
+        test('reads the region from another field and restricts the type', () => {
+            const validator = new FormValidator();
+            validator.configureField('mobile', { rules: [{ name: 'phone', params: { countryField: 'pais', type: 'mobile' } }] });
+            const messages = (value, formData) => validator.validateField('mobile', value, formData).errors.map(error => error.message);
+
+            assert.deepEqual(messages('300 123 4567', { pais: 'CO' }), []);
+            assert.deepEqual(messages('601 234 5678', { pais: 'CO' }), ['Please enter a mobile number']);
+            assert.deepEqual(messages('601 2', { pais: 'CO' }), ['Wrong number of digits for CO, e.g. +57 300 123 4567']);
+            assert.deepEqual(messages('601 2', {}), ['Include the country code, e.g. +1 202 555 0123']);
+        });
+
+        test('accepts numbers that may be either type', () => {
+            const validator = new FormValidator();
+            validator.configureField('mobile', { rules: [{ name: 'phone', params: { type: 'mobile' } }] });
+
+            assert.equal(validator.validateField('mobile', '+52 55 1234 5678', {}).isValid, true);
+        });
+
+        test('leaves numbers it cannot parse to the rule', () => {
+            const validator = new FormValidator();
+            validator.configureField('phone', { transform: [{ name: 'e164', params: { region: 'CO' } }], rules: [] });
+
+            assert.deepEqual(validator.validateForm({ phone: '12' }).data, { phone: '12' });
+        });
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaxId = require('../js/tax-id.js');
+const FormValidator = require('../js/validator.js');
+
+describe('TaxId', () => {
+    test('checks Colombian NITs with the DIAN weights', () => {
+        assert.equal(TaxId.validate('899.999.068-1', 'CO').valid, true);
+        assert.equal(TaxId.validate('8999990681', 'co').valid, true);
+        assert.equal(TaxId.validate('899.999.068-2', 'CO').reason, 'checkDigit');
+        assert.equal(TaxId.validate('900-12', 'CO').reason, 'format');
+    });
+
+    test('checks Chilean RUTs, including K and 0 check digits', () => {
+        assert.equal(TaxId.validate('10.000.013-k', 'CL').valid, true);
+        assert.equal(TaxId.validate('10.000.004-0', 'CL').valid, true);
+        assert.equal(TaxId.validate('12.345.678-K', 'CL').reason, 'checkDigit');
+        assert.equal(TaxId.rutCheckDigit('10000013'), 'K');
+    });
+
+    test('checks Peruvian RUCs', () => {
+        assert.equal(TaxId.validate('20100047218', 'PE').valid, true);
+        assert.equal(TaxId.validate('20100047219', 'PE').reason, 'checkDigit');
+        assert.equal(TaxId.validate('40100047218', 'PE').reason, 'format');
+    });
+
+    test('checks Ecuadorian RUCs by taxpayer type', () => {
+        // Natural person (mod 10), public entity and private company (mod 11)
+        assert.equal(TaxId.validate('1710034065001', 'EC').valid, true);
+        assert.equal(TaxId.validate('1760001550001', 'EC').valid, true);
+        assert.equal(TaxId.validate('1790011674001', 'EC').valid, true);
+        assert.equal(TaxId.validate('1710034065000', 'EC').reason, 'checkDigit');
+        assert.equal(TaxId.validate('9910034065001', 'EC').reason, 'format');
+    });
+
+    test('checks Argentine CUITs', () => {
+        assert.equal(TaxId.validate('30-50001091-2', 'AR').valid, true);
+        assert.equal(TaxId.validate('20-12345678-7', 'AR').reason, 'checkDigit');
+        assert.equal(TaxId.validate('15-12345678-6', 'AR').reason, 'format');
+    });
+
+    test('rejects unsupported countries', () => {
+        assert.deepEqual(TaxId.validate('123', 'BR'), { valid: false, reason: 'country', params: { country: 'BR' } });
+        assert.equal(TaxId.validate('123', '').reason, 'country');
+    });
+
+    describe('taxId rule', () => {
+        test('reads the country from another field and explains each failure', () => {
+            const validator = new FormValidator();
+            validator.configureField('nit', { rules: [{ name: 'taxId', params: { countryField: 'pais' } }] });
+            const message = (value, pais) => validator.validateField('nit', value, { pais }).errors.map(error => error.message);
+
+            assert.deepEqual(message('900.123.456-8', 'CO'), []);
+            assert.deepEqual(message('900.123.456-7', 'CO'), ['The NIT check digit is not valid']);
+            assert.deepEqual(message('12', 'CO'), ['The NIT format is not valid, e.g. 900.123.456-8']);
+            assert.deepEqual(message('12', ''), ['Select a supported country for the tax ID']);
+            assert.deepEqual(message('12.345.678-5', 'CL'), []);
+        });
+    });
+});
@@ -0,0 +1,248 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const FormValidator = require('../js/validator.js');
+const contactSchema = require('../examples/contact-form.schema.json');
+
+describe('FormValidator', () => {
+    test('validates a form and reports errors by field', () => {
+        const validator = new FormValidator();
+        validator.configureFields({
+            name: { rules: ['required', { name: 'minLength', params: { length: 3 } }] },
+            password: { rules: [] },
+            confirm: { rules: [{ name: 'confirmPassword', params: { matchField: 'password' } }] }
+        });
+
+        const result = validator.validateForm({ name: 'ab', password: 'secret', confirm: 'other' });
+
+        assert.equal(result.isValid, false);
+        assert.deepEqual(result.errors.map(error => [error.field, error.rule]), [
+            ['name', 'minLength'],
+            ['confirm', 'confirmPassword']
+        ]);
+        assert.equal(result.fields.name.errors[0].message, 'Must be at least 3 characters long');
+        assert.equal(result.fields.password.isValid, true);
+    });
+
+    test('skips empty optional values', () => {
+        const validator = new FormValidator();
+        validator.configureField('website', { rules: ['url', { name: 'minLength', params: { length: 10 } }] });
+
+        assert.equal(validator.validateField('website', '', {}).isValid, true);
+    });
+
+    test('resolves rule names in any casing', () => {
+        const validator = new FormValidator();
+
+        assert.equal(validator.resolveRuleName('MIN-LENGTH'), 'minLength');
+        assert.equal(validator.resolveRuleName('confirm_password'), 'confirmPassword');
+        assert.equal(validator.resolveRuleName('nope'), null);
+    });
+
+    test('fails a rule that throws', (t) => {
+        const validator = new FormValidator();
+        t.mock.method(console, 'warn', () => {});
+        validator.addValidationRule('broken', () => {
+            throw new Error('bug');
+        }, 'Could not check this value');
+        validator.configureField('code', { rules: ['broken'] });
+
+        const result = validator.validateField('code', 'x', {});
+
+        assert.equal(result.isValid, false);
+        assert.equal(result.errors[0].message, 'Could not check this value');
+    });
+
+    describe('conditions', () => {
+        test('apply a rule only when the condition holds', () => {
+            const validator = new FormValidator();
+            validator.configureField('state', {
+                rules: [{ name: 'required', when: { field: 'country', equals: 'US' } }]
+            });
+
+            assert.equal(validator.validateField('state', '', { country: 'US' }).isValid, false);
+            assert.equal(validator.validateField('state', '', { country: 'CO' }).isValid, true);
+        });
+
+        test('skip the whole field unless it holds', () => {
+            const validator = new FormValidator();
+            validator.configureField('phone', {
+                when: { field: 'communicationMethod', in: ['phone', 'sms'] },
+                rules: ['required']
+            });
+
+            assert.equal(validator.validateField('phone', '', { communicationMethod: 'sms' }).isValid, false);
+            assert.equal(validator.validateField('phone', '', { communicationMethod: 'email' }).isValid, true);
+        });
+    });
+
+    test('keeps warnings apart from errors', () => {
+        const validator = new FormValidator();
+        validator.addValidationRule('salesRatio', (value, params, formData) => {
+            return !value || parseFloat(value) <= parseFloat(formData[params.field]) * 100;
+        }, 'Sales are more than 100 times the capital', { severity: 'warning' });
+        validator.configureFields({
+            capital: { rules: [] },
+            sales: { rules: [{ name: 'salesRatio', params: { field: 'capital' } }] }
+        });
+
+        const result = validator.validateForm({ capital: '10', sales: '5000' });
+
+        assert.equal(result.isValid, true);
+        assert.equal(result.errors.length, 0);
+        assert.deepEqual(result.warnings.map(warning => warning.field), ['sales']);
+    });
+
+    test('derives field dependencies', () => {
+        const validator = new FormValidator();
+        validator.configureFields({
+            password: { rules: ['required'] },
+            confirmPassword: { rules: [{ name: 'confirmPassword', params: { matchField: 'password' } }] },
+            end: { rules: [{ name: 'date', params: { after: 'start' } }] },
+            start: { rules: ['date'] }
+        });
+
+        assert.deepEqual(validator.getDependentFields('password'), ['confirmPassword']);
+        assert.deepEqual(validator.getFieldDependencies('end'), ['start']);
+        assert.deepEqual(validator.findDependencyCycles(), []);
+    });
+
+    test('transforms values before the rules and returns them as data', () => {
+        const validator = new FormValidator();
+        validator.addValidationRule('codigoEmpresa', value => /^[A-Z]{2,3}\d{3,7}$/.test(value), 'Invalid code');
+        validator.configureFields({
+            codigoEmpresa: { transform: ['trim', 'uppercase'], rules: ['required', 'codigoEmpresa'] },
+            capitalSocial: { transform: ['number'], rules: [] }
+        });
+
+        const result = validator.validateForm({ codigoEmpresa: ' emp001 ', capitalSocial: '5000' });
+
+        assert.equal(result.isValid, true);
+        assert.deepEqual(result.data, { codigoEmpresa: 'EMP001', capitalSocial: 5000 });
+    });
+
+    test('runs each transformer once per form validation', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const validator = new FormValidator();
+        let calls = 0;
+        validator.addTransformer('counted', value => {
+            calls++;
+            return value;
+        });
+        validator.configureFields({
+            a: { transform: ['counted'], rules: ['required'] },
+            b: { transform: ['missing'], rules: ['required'] },
+            c: { rules: ['required'] }
+        });
+
+        validator.validateForm({ a: 'x', b: 'y', c: 'z' });
+        assert.equal(calls, 1);
+        assert.equal(warn.mock.callCount(), 1);
+
+        await validator.validateFormAsync({ a: 'x', b: 'y', c: 'z' });
+        assert.equal(calls, 2);
+        assert.equal(warn.mock.callCount(), 2);
+    });
+
+    describe('messages', () => {
+        test('use the active locale', () => {
+            const validator = new FormValidator({ locale: 'es' });
+            validator.configureField('name', { rules: ['required'] });
+
+            assert.equal(validator.validateField('name', '', {}).errors[0].message, 'Este campo es obligatorio');
+        });
+
+        test('given to addValidationRule replace a built-in rule\'s in every locale', () => {
+            const validator = new FormValidator({ locale: 'es' });
+            validator.addValidationRule('email', value => String(value).endsWith('@acme.co'), 'Use your company email');
+            validator.configureField('email', { rules: ['email'] });
+
+            assert.equal(validator.validateField('email', 'ana@example.com', {}).errors[0].message, 'Use your company email');
+        });
+
+        test('of the built-in rules stay translated', () => {
+            const validator = new FormValidator({ locale: 'es' });
+            validator.configureField('email', { rules: ['email'] });
+
+            assert.equal(validator.validateField('email', 'ana', {}).errors[0].message, 'Ingrese un correo electrónico válido');
+        });
+
+        test('per field win over the rule\'s', () => {
+            const validator = new FormValidator();
+            validator.configureField('name', { label: 'Name', rules: ['required'], messages: { required: '{label} is missing' } });
+
+            assert.equal(validator.validateField('name', '', {}).errors[0].message, 'Name is missing');
+        });
+    });
+
+    describe('async rules', () => {
+        test('are awaited by validateFieldAsync', async () => {
+            const validator = new FormValidator();
+            validator.addValidationRule('available', async value => value !== 'admin', 'Username is not available');
+            validator.configureField('username', { rules: ['required', 'available'] });
+
+            const taken = await validator.validateFieldAsync('username', 'admin', {});
+            const free = await validator.validateFieldAsync('username', 'ana', {});
+
+            assert.equal(taken.errors[0].message, 'Username is not available');
+            assert.equal(free.isValid, true);
+        });
+
+        test('are skipped with a warning by validateField', (t) => {
+            const validator = new FormValidator();
+            const warn = t.mock.method(console, 'warn', () => {});
+            validator.addValidationRule('available', async () => false, 'Username is not available');
+            validator.configureField('username', { rules: ['available'] });
+
+            assert.equal(validator.validateField('username', 'admin', {}).isValid, true);
+            assert.equal(warn.mock.callCount(), 1);
+        });
+
+        test('cancel the previous run of a field', async () => {
+            const validator = new FormValidator();
+            validator.addValidationRule('slow', () => new Promise(resolve => setTimeout(() => resolve(true), 20)), 'Slow');
+            validator.configureField('username', { rules: ['slow'] });
+
+            const first = validator.validateFieldAsync('username', 'a', {});
+            const second = validator.validateFieldAsync('username', 'ab', {});
+
+            assert.equal((await first).cancelled, true);
+            assert.equal((await second).isValid, true);
+        });
+
+        test('fail when they time out', async () => {
+            const validator = new FormValidator();
+            validator.addValidationRule('hangs', () => new Promise(() => {}), 'No answer');
+            validator.configureField('username', { rules: [{ name: 'hangs', timeout: 10 }] });
+
+            const result = await validator.validateFieldAsync('username', 'a', {});
+
+            assert.equal(result.isValid, false);
+            assert.equal(result.errors[0].timedOut, true);
+        });
+    });
+
+    describe('schemas', () => {
+        test('configure the fields and round-trip through exportSchema', () => {
+            const validator = new FormValidator();
+            validator.loadSchema(contactSchema);
+
+            const result = validator.validateField('fullName', '', {});
+            assert.equal(result.errors[0].message, 'Please fill in this field');
+
+            const copy = new FormValidator();
+            copy.loadSchema(validator.exportSchema());
+            assert.deepEqual(copy.validateField('fullName', '', {}), result);
+        });
+
+        test('with problems throw an error listing them', () => {
+            const validator = new FormValidator();
+            const schema = { version: 1, fields: [{ name: 'email', type: 'emial', rules: ['emial'] }] };
+
+            assert.throws(() => validator.loadSchema(schema), error => {
+                assert.ok(error.issues.some(issue => issue.includes('fields[0].type')));
+                assert.ok(error.issues.some(issue => issue.includes('did you mean email?')));
+                return true;
+            });
+        });
+    });
+});